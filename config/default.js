@@ -6,9 +6,37 @@
  */
 /* eslint-disable @typescript-eslint/no-var-requires */
 const sites = require('./sites.js')
-const algoliaConfig = require('./algolia-config.json')
 const commerceAPIConfig = require('./commerce-api-config.json')
 
+// algolia-config.json is optional when the credentials are provided with environment variables.
+const loadAlgoliaConfigFile = () => {
+    try {
+        return require('./algolia-config.json')
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') {
+            return {}
+        }
+        throw error
+    }
+}
+const algoliaConfigFile = loadAlgoliaConfigFile()
+
+// The Algolia app ID, search API key and index prefix can be set with the following environment
+// variables, which take precedence over algolia-config.json. This lets the same build be promoted
+// across Managed Runtime environments that use different Algolia applications.
+const algoliaConfig = {
+    ...algoliaConfigFile,
+    appId: process.env.ALGOLIA_APP_ID || algoliaConfigFile.appId,
+    // The config is serialized into the pages, so no key is sent to the browser when the Algolia
+    // proxy or the secured API keys are enabled, not even one left in algolia-config.json:
+    // overrides/app/server reads the environment variable.
+    apiKey:
+        algoliaConfigFile.proxy?.enabled || algoliaConfigFile.securedApiKeys?.enabled
+            ? undefined
+            : process.env.ALGOLIA_SEARCH_API_KEY || algoliaConfigFile.apiKey,
+    indexPrefix: process.env.ALGOLIA_INDEX_PREFIX || algoliaConfigFile.indexPrefix
+}
+
 module.exports = {
     app: {
         // Customize how your 'site' and 'locale' are displayed in the url.
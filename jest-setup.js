@@ -0,0 +1,22 @@
+/*
+ * Copyright (c) 2023, Salesforce, Inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+/* eslint-env jest */
+
+// The mock configuration of the base template, with the example Algolia configuration answered by
+// the Algolia mock, see overrides/app/mocks/algolia
+jest.mock('@salesforce/pwa-kit-runtime/utils/ssr-config', () => {
+    const mockConfig = jest.requireActual('@salesforce/retail-react-app/config/mocks/default')
+    const algoliaConfig = jest.requireActual('./config/algolia-config.example.json')
+    const config = {
+        ...mockConfig,
+        app: {...mockConfig.app, algolia: {...algoliaConfig, mock: {enabled: true}}}
+    }
+
+    return {
+        getConfig: () => config
+    }
+})
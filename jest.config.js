@@ -0,0 +1,37 @@
+/*
+ * Copyright (c) 2023, Salesforce, Inc.
+ * All rights reserved.
+ * SPDX-License-Identifier: BSD-3-Clause
+ * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
+ */
+/* eslint-disable @typescript-eslint/no-var-requires */
+const path = require('path')
+const base = require('@salesforce/pwa-kit-dev/configs/jest/jest.config.js')
+
+module.exports = {
+    ...base,
+    // The test utilities and the mocks of the Commerce API of the base template, with the
+    // configuration of the tests, see jest-setup.js
+    setupFilesAfterEnv: [
+        require.resolve('@salesforce/retail-react-app/jest-setup.js'),
+        path.join(__dirname, 'jest-setup.js')
+    ],
+    // The themes of the Algolia UI components are style sheets
+    moduleNameMapper: {
+        ...base.moduleNameMapper,
+        '^@algolia/(autocomplete-theme-classic|ui-components-horizontal-slider-theme)$':
+            base.moduleNameMapper['\\.(css|less)$']
+    },
+    // The base template and some Algolia packages are published as ES modules
+    transformIgnorePatterns: [
+        `/node_modules/(?!(${[
+            '@salesforce/retail-react-app',
+            '@algolia/autocomplete-shared',
+            '@algolia/ui-components-horizontal-slider-react',
+            'instantsearch.js/es'
+        ].join('|')})/)`
+    ],
+    collectCoverageFrom: ['overrides/app/**/*.{js,jsx,ts,tsx}', '!overrides/app/static/**'],
+    // Increase to: 6 x default timeout of 5 seconds
+    ...(process.env.CI ? {testTimeout: 30000} : {})
+}
@@ -36,6 +36,7 @@ import {withReactQuery} from '@salesforce/pwa-kit-react-sdk/ssr/universal/compon
 import {useCorrelationId} from '@salesforce/pwa-kit-react-sdk/ssr/universal/hooks'
 import {getAppOrigin} from '@salesforce/pwa-kit-react-sdk/utils/url'
 import {ReactQueryDevtools} from '@tanstack/react-query-devtools'
+import {AlgoliaProvider} from '../../contexts'
 
 /**
  * Use the AppConfig component to inject extra arguments into the getProps
@@ -73,7 +74,9 @@ const AppConfig = ({children, locals = {}}) => {
             logger={createLogger({packageName: 'commerce-sdk-react'})}
         >
             <MultiSiteProvider site={locals.site} locale={locals.locale} buildUrl={locals.buildUrl}>
-                <ChakraProvider theme={theme}>{children}</ChakraProvider>
+                <AlgoliaProvider>
+                    <ChakraProvider theme={theme}>{children}</ChakraProvider>
+                </AlgoliaProvider>
             </MultiSiteProvider>
             <ReactQueryDevtools />
         </CommerceApiProvider>
@@ -6,6 +6,7 @@ import {HeartIcon, HeartSolidIcon} from '@salesforce/retail-react-app/app/compon
 import {
     AspectRatio,
     Box,
+    Flex,
     Skeleton as ChakraSkeleton,
     Text,
     Stack,
@@ -13,6 +14,7 @@ import {
     IconButton
 } from '@chakra-ui/react'
 import DynamicImage from '../dynamic-image'
+import RatingStars from '../rating-stars'
 import AlgoliaProductSwatch from '../../../pages/algolia-product-list/partials/algolia-product-swatch'
 
 // Hooks
@@ -22,7 +24,7 @@ import {useIntl} from 'react-intl'
 import {productUrlBuilder} from '@salesforce/retail-react-app/app/utils/url'
 import Link from '@salesforce/retail-react-app/app/components/link'
 import withRegistration from '@salesforce/retail-react-app/app/components/with-registration'
-import {useCurrency} from '@salesforce/retail-react-app/app/hooks'
+import {useAlgolia} from '../../../hooks/use-algolia'
 
 const IconButtonWithRegistration = withRegistration(IconButton)
 
@@ -64,6 +66,7 @@ const ProductTile = (props) => {
         dynamicImageProps,
         selectedColors,
         setSelectedColors,
+        variant = 'grid',
         ...rest
     } = props
     // ProductTile is used by two components, RecommendedProducts and ProductList.
@@ -87,80 +90,124 @@ const ProductTile = (props) => {
         })
     }
 
-    const productPrice = product.price ? product.price.USD : ''
-    const {currency: activeCurrency} = useCurrency()
+    const {currency: activeCurrency} = useAlgolia()
+    const priceCurrency = currency || activeCurrency
+    const productPrice = product.price?.[priceCurrency] ?? ''
 
-    return (
-        <Box>
-            <Link
-                data-testid="product-tile"
-                {...styles.container}
-                to={productUrlBuilder({id: product.objectID}, intl.local)}
-                {...rest}
-            >
-                <Box {...styles.imageWrapper}>
-                    <AspectRatio {...styles.image}>
-                        <DynamicImage
-                            src={`${
-                                selectedColors[product.masterID]
-                                    ? selectedColors[product.masterID]
-                                    : imageUrl
-                            }[?sw={width}&q=60]`}
-                            widths={dynamicImageProps?.widths}
-                            imageProps={{
-                                alt: imageAlt,
-                                ...dynamicImageProps?.imageProps
-                            }}
-                        />
-                    </AspectRatio>
+    const productUrl = productUrlBuilder({id: product.objectID}, intl.local)
 
-                    {enableFavourite && (
-                        <Box
-                            onClick={(e) => {
-                                // stop click event from bubbling
-                                // to avoid user from clicking the underlying
-                                // product while the favourite icon is disabled
-                                e.preventDefault()
-                            }}
-                        >
-                            <IconButtonWithRegistration
-                                aria-label={intl.formatMessage({
-                                    id: 'product_tile.assistive_msg.wishlist',
-                                    defaultMessage: 'Wishlist'
-                                })}
-                                icon={isFavourite ? <HeartSolidIcon /> : <HeartIcon />}
-                                {...styles.favIcon}
-                                disabled={isFavouriteLoading}
-                                onClick={async () => {
-                                    setFavouriteLoading(true)
-                                    await onFavouriteToggle(!isFavourite)
-                                    setFavouriteLoading(false)
-                                }}
-                                style={{outlineOffset: '0px', outlineColor: 'transparent'}}
-                            />
-                        </Box>
-                    )}
-                </Box>
-                <Box {...styles.detailsWrapper}>
-                    {/* Title */}
-                    <Text {...styles.title}>
-                        <span dangerouslySetInnerHTML={{__html: localizedProductName}} />
-                    </Text>
-
-                    {/* Price */}
-                    <Text {...styles.price}>
-                        {intl.formatNumber(productPrice, {
-                            style: 'currency',
-                            currency: currency || activeCurrency
+    const image = (
+        <Box {...styles.imageWrapper}>
+            <AspectRatio {...styles.image}>
+                <DynamicImage
+                    src={`${
+                        selectedColors[product.masterID]
+                            ? selectedColors[product.masterID]
+                            : imageUrl
+                    }[?sw={width}&q=60]`}
+                    widths={dynamicImageProps?.widths}
+                    imageProps={{
+                        alt: imageAlt,
+                        ...dynamicImageProps?.imageProps
+                    }}
+                />
+            </AspectRatio>
+
+            {enableFavourite && (
+                <Box
+                    onClick={(e) => {
+                        // stop click event from bubbling
+                        // to avoid user from clicking the underlying
+                        // product while the favourite icon is disabled
+                        e.preventDefault()
+                    }}
+                >
+                    <IconButtonWithRegistration
+                        aria-label={intl.formatMessage({
+                            id: 'product_tile.assistive_msg.wishlist',
+                            defaultMessage: 'Wishlist'
                         })}
-                    </Text>
+                        icon={isFavourite ? <HeartSolidIcon /> : <HeartIcon />}
+                        {...styles.favIcon}
+                        disabled={isFavouriteLoading}
+                        onClick={async () => {
+                            setFavouriteLoading(true)
+                            await onFavouriteToggle(!isFavourite)
+                            setFavouriteLoading(false)
+                        }}
+                        style={{outlineOffset: '0px', outlineColor: 'transparent'}}
+                    />
                 </Box>
+            )}
+        </Box>
+    )
+
+    const details = (
+        <>
+            {/* Title */}
+            <Text {...styles.title}>
+                <span dangerouslySetInnerHTML={{__html: localizedProductName}} />
+            </Text>
+
+            {/* Price */}
+            <Text {...styles.price}>
+                {intl.formatNumber(productPrice, {
+                    style: 'currency',
+                    currency: priceCurrency
+                })}
+            </Text>
+        </>
+    )
+
+    const swatch = (
+        <AlgoliaProductSwatch
+            product={product}
+            selectedColors={selectedColors}
+            setSelectedColors={setSelectedColors}
+        />
+    )
+
+    // A wider tile, with the image on the side of the description, the rating and the swatches
+    if (variant === 'list') {
+        return (
+            <Flex gap={6} alignItems="flex-start">
+                <Link
+                    data-testid="product-tile"
+                    to={productUrl}
+                    width={{base: '40%', md: '240px'}}
+                    flexShrink={0}
+                    {...rest}
+                >
+                    {image}
+                </Link>
+                <Stack flex={1} spacing={2}>
+                    <Link to={productUrl} onClick={rest.onClick}>
+                        {details}
+                    </Link>
+                    {product.reviews?.rating !== undefined && (
+                        <RatingStars
+                            rating={product.reviews.rating}
+                            count={product.reviews.count}
+                        />
+                    )}
+                    {product.short_description && (
+                        <Text fontSize="sm" color="gray.700" noOfLines={3}>
+                            {product.short_description}
+                        </Text>
+                    )}
+                    {swatch}
+                </Stack>
+            </Flex>
+        )
+    }
+
+    return (
+        <Box>
+            <Link data-testid="product-tile" {...styles.container} to={productUrl} {...rest}>
+                {image}
+                <Box {...styles.detailsWrapper}>{details}</Box>
             </Link>
-            <AlgoliaProductSwatch
-                product={product}
-                selectedColors={selectedColors}
-                setSelectedColors={setSelectedColors}
-            />
+            {swatch}
         </Box>
     )
 }
@@ -179,9 +226,8 @@ ProductTile.propTypes = {
             disBaseLink: PropTypes.string,
             link: PropTypes.string
         }),
-        price: PropTypes.shape({
-            USD: PropTypes.number
-        }),
+        // The prices keyed by currency, e.g. `{USD: 59.99, EUR: 54.99}`
+        price: PropTypes.objectOf(PropTypes.number),
         // `name` is present and localized when `product` is provided by a RecommendedProducts component
         // (from Shopper Products `getProducts` endpoint), but is not present when `product` is
         // provided by a ProductList component.
@@ -197,7 +243,12 @@ ProductTile.propTypes = {
         productId: PropTypes.string,
         image_groups: PropTypes.arrayOf(PropTypes.object),
         masterID: PropTypes.string,
-        objectID: PropTypes.string
+        objectID: PropTypes.string,
+        short_description: PropTypes.string,
+        reviews: PropTypes.shape({
+            rating: PropTypes.number,
+            count: PropTypes.number
+        })
     }),
     /**
      * Enable adding/removing product as a favourite.
@@ -216,7 +267,12 @@ ProductTile.propTypes = {
     dynamicImageProps: PropTypes.object,
     currency: PropTypes.string,
     selectedColors: PropTypes.object,
-    setSelectedColors: PropTypes.func
+    setSelectedColors: PropTypes.func,
+    /**
+     * `grid` for a tile in a grid, `list` for a wider tile with the description, the rating and
+     * the swatches.
+     */
+    variant: PropTypes.oneOf(['grid', 'list'])
 }
 
 export default ProductTile
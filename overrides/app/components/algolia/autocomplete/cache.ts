@@ -0,0 +1,195 @@
+import {CACHE_CONFIG} from './constants'
+
+const STORAGE_PREFIX = 'algolia-cache:'
+
+// The number of responses kept in memory, the oldest ones are evicted first
+const MAX_MEMORY_ENTRIES = 200
+
+// The time to live of the responses when it is not configured, in seconds
+const DEFAULT_TIME_TO_LIVE = {
+    search: 300,
+    facetSearch: 300,
+    recommend: 3600
+}
+
+/**
+ * Returns the type of a request from its cache key, i.e. the request and options
+ * the transporter of the Algolia clients computes for each cacheable request.
+ *
+ * @param {Object} key - The cache key.
+ * @returns {string} `search`, `facetSearch` or `recommend`.
+ */
+function getRequestType(key) {
+    const path = key.request?.path || ''
+    if (path.endsWith('/recommendations')) return 'recommend'
+    if (path.includes('/facets/')) return 'facetSearch'
+    return 'search'
+}
+
+function readStorageEntry(storage, keyAsString) {
+    try {
+        return JSON.parse(storage.getItem(STORAGE_PREFIX + keyAsString) || 'null')
+    } catch (error) {
+        // A corrupted entry is a cache miss
+        return null
+    }
+}
+
+function getSessionStorage() {
+    try {
+        return typeof window !== 'undefined' ? window.sessionStorage : null
+    } catch (error) {
+        // Accessing sessionStorage throws when the cookies are blocked
+        return null
+    }
+}
+
+/**
+ * Creates a cache for the `responsesCache` option of the Algolia clients.
+ *
+ * The responses are kept in memory and, if `useSessionStorage` is set, in sessionStorage so that
+ * they survive a page reload. They expire after the time to live of their request type. The
+ * expired responses are evicted from memory when a response is added, and the memory holds at
+ * most `MAX_MEMORY_ENTRIES` responses.
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether to cache the responses at all.
+ * @param {Object} options.timeToLive - The time to live of the `search`, `facetSearch` and
+ * `recommend` responses, in seconds.
+ * @param {boolean} options.useSessionStorage - Whether to also store the responses in sessionStorage.
+ * @returns {Object} The cache.
+ */
+function createResponsesCache({enabled, timeToLive, useSessionStorage}) {
+    let memory = new Map()
+    const storage = useSessionStorage ? getSessionStorage() : null
+
+    const read = (keyAsString) => {
+        let entry = memory.get(keyAsString)
+        if (!entry && storage) {
+            entry = readStorageEntry(storage, keyAsString)
+        }
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry
+        }
+        remove(keyAsString)
+        return null
+    }
+    // The entries of the map are in insertion order, the oldest first
+    const evict = () => {
+        const now = Date.now()
+        memory.forEach((entry, keyAsString) => {
+            if (entry.expiresAt <= now) {
+                memory.delete(keyAsString)
+            }
+        })
+        Array.from(memory.keys())
+            .slice(0, Math.max(memory.size - MAX_MEMORY_ENTRIES + 1, 0))
+            .forEach((keyAsString) => memory.delete(keyAsString))
+    }
+    const remove = (keyAsString) => {
+        memory.delete(keyAsString)
+        storage?.removeItem(STORAGE_PREFIX + keyAsString)
+    }
+
+    return {
+        get(key, defaultValue, events = {miss: () => Promise.resolve()}) {
+            const entry = read(JSON.stringify(key))
+            if (entry) {
+                return Promise.resolve(entry.value)
+            }
+
+            const promise = defaultValue()
+            return promise.then((value) => events.miss(value)).then(() => promise)
+        },
+        set(key, value) {
+            if (!enabled) {
+                return Promise.resolve(value)
+            }
+
+            const keyAsString = JSON.stringify(key)
+            const entry = {
+                expiresAt: Date.now() + timeToLive[getRequestType(key)] * 1000,
+                value
+            }
+            // Set again, the response becomes the latest one
+            memory.delete(keyAsString)
+            evict()
+            memory.set(keyAsString, entry)
+            try {
+                storage?.setItem(STORAGE_PREFIX + keyAsString, JSON.stringify(entry))
+            } catch (error) {
+                // The storage is full, the response is only kept in memory
+            }
+            return Promise.resolve(value)
+        },
+        delete(key) {
+            remove(JSON.stringify(key))
+            return Promise.resolve()
+        },
+        clear() {
+            memory = new Map()
+            if (storage) {
+                Object.keys(storage)
+                    .filter((keyAsString) => keyAsString.startsWith(STORAGE_PREFIX))
+                    .forEach((keyAsString) => storage.removeItem(keyAsString))
+            }
+            return Promise.resolve()
+        }
+    }
+}
+
+/**
+ * Creates a cache for the `requestsCache` option of the Algolia clients. It holds the requests
+ * in flight, so that identical requests sent at the same time share the same response.
+ *
+ * @returns {Object} The cache.
+ */
+function createRequestsCache() {
+    const requests = new Map()
+
+    return {
+        get(key, defaultValue) {
+            return requests.get(JSON.stringify(key)) || defaultValue()
+        },
+        set(key, value) {
+            requests.set(JSON.stringify(key), value)
+            return Promise.resolve(value)
+        },
+        delete(key) {
+            requests.delete(JSON.stringify(key))
+            return Promise.resolve()
+        },
+        clear() {
+            requests.clear()
+            return Promise.resolve()
+        }
+    }
+}
+
+// The server does not cache the responses: its memory is shared by the requests of every shopper
+const responsesCache = createResponsesCache({
+    enabled: CACHE_CONFIG.enabled !== false && typeof window !== 'undefined',
+    timeToLive: {...DEFAULT_TIME_TO_LIVE, ...CACHE_CONFIG.timeToLive},
+    useSessionStorage: Boolean(CACHE_CONFIG.sessionStorage)
+})
+const requestsCache = createRequestsCache()
+
+/**
+ * Returns the cache options shared by the search and recommend clients. Identical requests in
+ * flight are always de-duplicated, even if the responses cache is disabled.
+ *
+ * @returns {Object} The `responsesCache` and `requestsCache` options.
+ */
+export function getCacheOptions() {
+    return {responsesCache, requestsCache}
+}
+
+/**
+ * Clears the responses cached by the search and recommend clients, e.g. when the locale or the
+ * login state of the shopper changes.
+ *
+ * @returns {Promise} Resolves once the cache is cleared.
+ */
+export function clearAlgoliaCache() {
+    return responsesCache.clear()
+}
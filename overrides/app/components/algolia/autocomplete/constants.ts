@@ -1,10 +1,37 @@
-import config from '../../../../../config/default'
-
-export const ALGOLIA_PRODUCTS_INDEX_NAME = config.app.algolia.indices.primary.value
-export const ALGOLIA_PRODUCTS_QUERY_SUGGESTIONS_INDEX_NAME =
-    config.app.algolia.indices.querySuggestions
-export const ALGOLIA_CONTENT_INDEX_NAME = config.app.algolia.indices.contents
-export const ALGOLIA_FAQ_INDEX_NAME = config.app.algolia.indices.faq
-export const ALGOLIA_CATEGORY_INDEX_NAME = config.app.algolia.indices.categories
-export const APP_ID = config.app.algolia.appId
-export const SEARCH_API_KEY = config.app.algolia.apiKey
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
+import {getAlgoliaProxyPath, getSecuredApiKeyPath} from '../../../utils/algolia-utils'
+
+// Read from the runtime config rather than importing config/default.js, so that the
+// credentials set with environment variables on the server also reach the browser.
+const {algolia: algoliaConfig} = getConfig().app
+
+export const APP_ID = algoliaConfig.appId
+export const SEARCH_API_KEY = algoliaConfig.apiKey
+
+// When the mock is enabled, the clients answer from the fixtures of overrides/app/mocks/algolia
+// instead of sending requests to Algolia, and the proxy and the secured API keys are not used.
+export const MOCK_ENABLED = Boolean(algoliaConfig.mock?.enabled)
+
+// When the proxy is enabled, the clients send their requests to the SSR server.
+// See overrides/app/server/algolia-proxy.js.
+export const PROXY_ENABLED = !MOCK_ENABLED && Boolean(algoliaConfig.proxy?.enabled)
+export const PROXY_PATH = getAlgoliaProxyPath(algoliaConfig)
+
+// When the secured API keys are enabled, the clients send their requests with a key issued to
+// the shopper by the SSR server. See overrides/app/server/secured-api-keys.js.
+export const SECURED_API_KEYS_ENABLED =
+    !MOCK_ENABLED && Boolean(algoliaConfig.securedApiKeys?.enabled)
+export const SECURED_API_KEY_PATH = getSecuredApiKeyPath(algoliaConfig)
+
+// The product listing pages are rendered with their results on the server, unless the secured API
+// keys are enabled: the server does not search on behalf of a shopper, and its pages are cached.
+export const SSR_ENABLED = !SECURED_API_KEYS_ENABLED
+
+// The key the clients are created with. The search API key stays on the server when the proxy or
+// the secured API keys are enabled, so it is a placeholder: the proxy replaces it with the search
+// API key and the clients with the secured API key of the shopper.
+export const CLIENT_API_KEY =
+    PROXY_ENABLED || SECURED_API_KEYS_ENABLED ? 'server-side-api-key' : SEARCH_API_KEY
+
+// The cache of the search and recommend responses, enabled in memory by default. See cache.ts.
+export const CACHE_CONFIG = algoliaConfig.cache || {}
@@ -13,17 +13,19 @@ import {pipe} from 'ramda'
 
 import {createFillWith, uniqBy} from './functions'
 import {categoriesPlugin} from './plugins/categoriesPlugin'
-import {faqPlugin} from './plugins/faqPlugin'
+import {faqPluginFactory} from './plugins/faqPlugin'
 import {popularCategoriesPlugin} from './plugins/popularCategoriesPlugin'
-import {popularPlugin} from './plugins/popularPlugin'
+import {popularPluginFactory} from './plugins/popularPlugin'
 import {productsPluginFactory} from './plugins/productsPlugin'
-import {querySuggestionsPlugin} from './plugins/querySuggestionsPlugin'
+import {querySuggestionsPluginFactory} from './plugins/querySuggestionsPlugin'
 import recentSearchesPlugin from './plugins/recentSearchesPlugin'
 import {quickAccessPluginFactory} from './plugins/quickAccessPlugin'
-import {contentPlugin} from './plugins/contentPlugin'
-import {brandsPlugin} from './plugins/brandsPlugin'
+import {contentPluginFactory} from './plugins/contentPlugin'
+import {brandsPluginFactory} from './plugins/brandsPlugin'
 import {cx, hasSourceActiveItem, isDetached} from './utils'
 import {CloseIcon} from '@salesforce/retail-react-app/app/components/icons'
+import {useAlgolia} from '../../../hooks/use-algolia'
+import {followRedirect, getRedirectUrl} from '../../../utils/algolia-rules'
 
 import '@algolia/autocomplete-theme-classic'
 import '../style.css'
@@ -67,12 +69,12 @@ const combine = pipe(removeDuplicates, fillWith)
  * @function
  * @param {Object} props - Component properties.
  * @param {Function} props.navigate - Navigation function to handle redirection.
- * @param {Object} props.currency - Currency information for pricing display in product searches.
  * @returns {JSX.Element} - The rendered autocomplete container.
  */
-export function Autocomplete({navigate, currency}) {
+export function Autocomplete({navigate}) {
     const containerRef = useRef(null)
     const searchRef = useRef(null) // Ref for autocomplete search instance
+    const {indices, currency, searchClient} = useAlgolia()
 
     /** Recent Searches showcase. Demo purposed. Feel free to remove this part for your implementation */
     /*********************************************************************** */
@@ -103,21 +105,59 @@ export function Autocomplete({navigate, currency}) {
 
         let rootRef
 
+        // A query with a redirect rule opens the URL of the rule rather than the search page. The
+        // input shows the loading indicator of Autocomplete while the rules are looked up, and
+        // the search page is opened if the lookup fails.
+        let isSubmitting = false
+        const submitQuery = async (query) => {
+            if (isSubmitting) {
+                return
+            }
+            isSubmitting = true
+            // Autocomplete resets the status once `onSubmit` returns
+            await Promise.resolve()
+            searchRef.current.setStatus('stalled')
+
+            let redirectUrl
+            try {
+                const {results} = await searchClient.search([
+                    {indexName: indices.primary.value, query, params: {hitsPerPage: 0}}
+                ])
+                redirectUrl = getRedirectUrl(results[0])
+            } catch (error) {
+                console.error('Algolia redirect error:', error)
+            } finally {
+                isSubmitting = false
+                searchRef.current.setStatus('idle')
+            }
+
+            if (redirectUrl) {
+                followRedirect(redirectUrl, navigate)
+            } else {
+                navigate(`/search?q=${encodeURIComponent(query)}`)
+            }
+        }
+
         searchRef.current = autocomplete({
             container: containerRef.current,
             placeholder: 'Search for products...',
             openOnFocus: true,
+            onSubmit({state}) {
+                submitQuery(state.query).catch((error) =>
+                    console.error('Algolia search navigation error:', error)
+                )
+            },
             plugins: [
                 recentSearchesPlugin(navigate),
-                querySuggestionsPlugin,
-                categoriesPlugin(navigate),
-                brandsPlugin,
-                faqPlugin,
-                productsPluginFactory(navigate, currency),
-                contentPlugin,
-                popularPlugin,
-                quickAccessPluginFactory(navigate),
-                popularCategoriesPlugin(navigate)
+                querySuggestionsPluginFactory(indices),
+                categoriesPlugin(navigate, indices),
+                brandsPluginFactory(indices),
+                faqPluginFactory(indices),
+                productsPluginFactory(navigate, {currency}, indices),
+                contentPluginFactory(indices),
+                popularPluginFactory(indices),
+                quickAccessPluginFactory(navigate, indices),
+                popularCategoriesPlugin(navigate, indices)
             ],
             reshape({sourcesBySourceId, sources, state}) {
                 const {
@@ -190,12 +230,6 @@ export function Autocomplete({navigate, currency}) {
             }
         })
 
-        const handleKeyDown = (e) => {
-            if (e.key === 'Enter' && e.target.id.indexOf('autocomplete-') > -1) {
-                navigate('/search?q=' + e.target.value)
-            }
-        }
-
         const handleClicks = (e) => {
             let className = e.target.className
             if (className.indexOf('aa-SeeAllLink') > -1) {
@@ -205,13 +239,11 @@ export function Autocomplete({navigate, currency}) {
 
         document.addEventListener('click', handleClicks)
 
-        document.addEventListener('keydown', handleKeyDown)
-
         return () => {
             searchRef.current.destroy()
-            document.removeEventListener('keypress', handleKeyDown)
+            document.removeEventListener('click', handleClicks)
         }
-    }, [])
+    }, [indices, currency, searchClient])
 
     return <div ref={containerRef} className="autocomplete-container"></div>
 }
@@ -375,6 +407,5 @@ AutocompletePanel.propTypes = {
 }
 
 Autocomplete.propTypes = {
-    navigate: PropTypes.func,
-    currency: PropTypes.object
+    navigate: PropTypes.func
 }
@@ -0,0 +1,115 @@
+import React from 'react'
+import {screen, waitFor} from '@testing-library/react'
+import {renderWithProviders} from '@salesforce/retail-react-app/app/utils/test-utils'
+import {AlgoliaProvider} from '../../../contexts'
+import {searchClient} from './searchClient'
+import {Autocomplete} from '.'
+
+jest.setTimeout(60000)
+
+const renderAutocomplete = () => {
+    const navigate = jest.fn()
+    const result = renderWithProviders(
+        <AlgoliaProvider>
+            <Autocomplete navigate={navigate} />
+        </AlgoliaProvider>
+    )
+
+    return {navigate, ...result}
+}
+
+// The search of the rules of the query submitted with Enter
+const isRulesSearch = (queries) => queries.length === 1 && queries[0].params?.hitsPerPage === 0
+
+afterEach(() => {
+    jest.restoreAllMocks()
+    localStorage.clear()
+})
+
+test('renders the suggestions and the products of a query from the Algolia mock', async () => {
+    const {user} = renderAutocomplete()
+
+    await user.type(await screen.findByPlaceholderText('Search for products...'), 'cardigan')
+
+    expect(await screen.findByText('SUGGESTIONS')).toBeInTheDocument()
+    await waitFor(() => {
+        expect(screen.getAllByText(/Ruffle Front V-Neck/).length).toBeGreaterThan(0)
+    })
+    expect(screen.queryByText(/Straight Leg Chino Pant/)).not.toBeInTheDocument()
+})
+
+test('opens the search page of the query on Enter', async () => {
+    const {user, navigate} = renderAutocomplete()
+
+    await user.type(await screen.findByPlaceholderText('Search for products...'), 'cardigan{Enter}')
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith('/search?q=cardigan'))
+})
+
+test('opens the URL of the redirect rule of the query on Enter', async () => {
+    const {user, navigate} = renderAutocomplete()
+
+    await user.type(await screen.findByPlaceholderText('Search for products...'), 'returns{Enter}')
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith('/returns'))
+    expect(navigate).toHaveBeenCalledTimes(1)
+})
+
+test('encodes the query in the URL of the search page', async () => {
+    const {user, navigate} = renderAutocomplete()
+
+    await user.type(
+        await screen.findByPlaceholderText('Search for products...'),
+        'tops & tees{Enter}'
+    )
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith('/search?q=tops%20%26%20tees'))
+})
+
+test('shows the loading indicator while the rules of the query are looked up', async () => {
+    const search = searchClient.search.bind(searchClient)
+    let resolveRulesSearch
+    jest.spyOn(searchClient, 'search').mockImplementation((queries) =>
+        isRulesSearch(queries)
+            ? new Promise((resolve) => {
+                  resolveRulesSearch = () => resolve(search(queries))
+              })
+            : search(queries)
+    )
+    const {user, navigate, container} = renderAutocomplete()
+
+    await user.type(await screen.findByPlaceholderText('Search for products...'), 'cardigan{Enter}')
+
+    await waitFor(() => expect(resolveRulesSearch).toBeDefined())
+    expect(container.querySelector('.aa-LoadingIndicator')).not.toHaveAttribute('hidden')
+    expect(navigate).not.toHaveBeenCalled()
+
+    resolveRulesSearch()
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith('/search?q=cardigan'))
+    expect(container.querySelector('.aa-LoadingIndicator')).toHaveAttribute('hidden')
+})
+
+test('opens the search page of the query when the rules cannot be looked up', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    const search = searchClient.search.bind(searchClient)
+    jest.spyOn(searchClient, 'search').mockImplementation((queries) =>
+        isRulesSearch(queries) ? Promise.reject(new Error('Network error')) : search(queries)
+    )
+    const {user, navigate} = renderAutocomplete()
+
+    await user.type(await screen.findByPlaceholderText('Search for products...'), 'returns{Enter}')
+
+    await waitFor(() => expect(navigate).toHaveBeenCalledWith('/search?q=returns'))
+})
+
+test('renders the articles of the content index shared with the FAQ, without the FAQ', async () => {
+    const {user} = renderAutocomplete()
+
+    await user.type(await screen.findByPlaceholderText('Search for products...'), 'from')
+
+    expect(
+        await screen.findByText('Finding the right dress for every occasion')
+    ).toBeInTheDocument()
+    expect(screen.queryByText('How do I return an item?')).not.toBeInTheDocument()
+    expect(screen.queryByText('Where is my order?')).not.toBeInTheDocument()
+})
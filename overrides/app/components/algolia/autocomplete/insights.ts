@@ -0,0 +1,33 @@
+import {MOCK_ENABLED, PROXY_ENABLED, SECURED_API_KEYS_ENABLED} from './constants'
+import {getProxyInsightsHost} from './proxy'
+import {getCachedSecuredApiKey} from './securedApiKey'
+
+/**
+ * Returns the `insights` option of InstantSearch.
+ *
+ * The Insights events are sent to the proxy when it is enabled. Otherwise, with the secured
+ * API keys, they are sent with the key of the shopper rather than the placeholder key the
+ * clients are created with (the key is updated when it is refreshed, see `getSecuredApiKey`).
+ *
+ * The events are sent with the customer ID of the shopper as the user token when it is known,
+ * like the searches made with their secured API key. No events are sent when the clients are
+ * mocked.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.userToken] - The user token of the shopper.
+ * @returns {boolean|Object} `true` or `false`, or the options of the insights middleware.
+ */
+export function getInsightsOptions({userToken} = {}) {
+    if (MOCK_ENABLED) {
+        return false
+    }
+
+    const securedApiKey = getCachedSecuredApiKey()
+    const insightsInitParams = {
+        ...(userToken && {userToken}),
+        ...(PROXY_ENABLED && {host: getProxyInsightsHost()}),
+        ...(!PROXY_ENABLED && SECURED_API_KEYS_ENABLED && securedApiKey && {apiKey: securedApiKey})
+    }
+
+    return Object.keys(insightsInitParams).length ? {insightsInitParams} : true
+}
@@ -2,7 +2,6 @@
 /** @jsx React.createElement */
 import {AutocompletePlugin, getAlgoliaFacets} from '@algolia/autocomplete-js'
 import React, {createElement, Fragment} from 'react'
-import {ALGOLIA_PRODUCTS_INDEX_NAME} from '../constants'
 import {BrandHit} from './../types'
 import {BrandItem} from './../components/BrandItem'
 import {recommendClient} from '../recommendClient'
@@ -10,8 +9,10 @@ import {recommendClient} from '../recommendClient'
 /**
  * An Autocomplete Plugin that provides brand results from Algolia.
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const brandsPlugin: AutocompletePlugin<BrandHit, {}> = {
+export const brandsPluginFactory = (indices): AutocompletePlugin<BrandHit, {}> => ({
     getSources({query}) {
         if (query) {
             return []
@@ -22,7 +23,7 @@ export const brandsPlugin: AutocompletePlugin<BrandHit, {}> = {
                 async getItems() {
                     var response = await recommendClient.getTrendingFacets([
                         {
-                          indexName: ALGOLIA_PRODUCTS_INDEX_NAME,
+                          indexName: indices.primary.value,
                           facetName: 'brand'
                         },
                     ])
@@ -40,5 +41,4 @@ export const brandsPlugin: AutocompletePlugin<BrandHit, {}> = {
             }
         ]
     }
-}
-
+})
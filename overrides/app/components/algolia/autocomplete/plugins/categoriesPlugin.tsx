@@ -5,7 +5,6 @@ import {
 } from '@algolia/autocomplete-js'
 import React, {createElement, Fragment} from 'react'
 import {GridIcon} from '../components'
-import {ALGOLIA_CATEGORY_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
 import {CategoryHit} from '../types'
 
@@ -43,8 +42,11 @@ function CategoryItem({hit, components, navigate}: CategoryItemProps) {
 /**
  * An Autocomplete Plugin that provides category results from Algolia.
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Function} navigate - Navigation function to handle redirection.
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const categoriesPlugin = (navigate) => ({
+export const categoriesPlugin = (navigate, indices) => ({
     getSources({query}) {
         return [
             {
@@ -54,7 +56,7 @@ export const categoriesPlugin = (navigate) => ({
                         searchClient,
                         queries: [
                             {
-                                indexName: ALGOLIA_CATEGORY_INDEX_NAME,
+                                indexName: indices.categories,
                                 query,
                                 params: {
                                     hitsPerPage: 3
@@ -1,16 +1,18 @@
 import {AutocompletePlugin, getAlgoliaResults} from '@algolia/autocomplete-js'
 import {SearchResponse} from '@algolia/client-search'
 import React, {createElement, Fragment} from 'react'
-import {ALGOLIA_CONTENT_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
+import {getContentFilters} from '../../../../utils/algolia-utils'
 import {ContentHit} from '../types'
 import {InfoIcon} from '@salesforce/retail-react-app/app/components/icons'
 
 /**
  * An Autocomplete Plugin that provides content suggestions from Algolia.
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const contentPlugin: AutocompletePlugin<ContentHit, {}> = {
+export const contentPluginFactory = (indices): AutocompletePlugin<ContentHit, {}> => ({
     getSources({query}) {
         if (!query) {
             return []
@@ -24,10 +26,11 @@ export const contentPlugin: AutocompletePlugin<ContentHit, {}> = {
                         searchClient,
                         queries: [
                             {
-                                indexName: ALGOLIA_CONTENT_INDEX_NAME,
+                                indexName: indices.contents,
                                 query,
                                 params: {
-                                    hitsPerPage: 2
+                                    hitsPerPage: 2,
+                                    filters: getContentFilters(indices).articles
                                 }
                             }
                         ],
@@ -51,7 +54,7 @@ export const contentPlugin: AutocompletePlugin<ContentHit, {}> = {
                                 <span className="aa-SourceHeaderTitle">Content</span>
                                 <span className="aa-SourceHeaderButton">
                                     <a
-                                        href={`/search?q=${state.query}&tab=articles`}
+                                        href={`/search?q=${encodeURIComponent(state.query)}&tab=articles`}
                                         rel="noreferrer noopener"
                                         className="aa-SeeAllLink"
                                     >View All Content for "{state.query}" ({state.context.nbContent})
@@ -67,7 +70,7 @@ export const contentPlugin: AutocompletePlugin<ContentHit, {}> = {
             }
         ]
     }
-}
+})
 
 /**
  * Props for the `ContentItem` component.
@@ -11,16 +11,18 @@ import {
     getAlgoliaResults
 } from '@algolia/autocomplete-js'
 import React, {createElement, Fragment, memo} from 'react'
-import {ALGOLIA_FAQ_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
+import {getContentFilters} from '../../../../utils/algolia-utils'
 import {FaqHit} from '../types'
 import {InfoIcon, Breadcrumb} from './../components'
 
 /**
  * An Autocomplete Plugin that provides faq results from Algolia.
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const faqPlugin: AutocompletePlugin<FaqHit, {}> = {
+export const faqPluginFactory = (indices): AutocompletePlugin<FaqHit, {}> => ({
     getSources({query}) {
         if (!query) {
             return [
@@ -44,7 +46,11 @@ export const faqPlugin: AutocompletePlugin<FaqHit, {}> = {
                     return getAlgoliaResults({
                         searchClient,
                         queries: [
-                            {indexName: ALGOLIA_FAQ_INDEX_NAME, query, params: {hitsPerPage: 1}}
+                            {
+                                indexName: indices.faq,
+                                query,
+                                params: {hitsPerPage: 1, filters: getContentFilters(indices).faq}
+                            }
                         ]
                     })
                 },
@@ -57,7 +63,7 @@ export const faqPlugin: AutocompletePlugin<FaqHit, {}> = {
             }
         ]
     }
-}
+})
 
 /**
  * Props for the FaqItem component.
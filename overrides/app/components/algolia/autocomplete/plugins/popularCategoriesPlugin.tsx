@@ -3,7 +3,6 @@
 
 import {getAlgoliaFacets} from '@algolia/autocomplete-js'
 import React, {createElement, Fragment} from 'react'
-import {ALGOLIA_PRODUCTS_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
 import {PopularCategoryHit} from '../types'
 
@@ -32,8 +31,11 @@ const images = {
 /**
  * An Autocomplete Plugin that provides popular categories results from Algolia.
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Function} navigate - Navigation function to handle redirection.
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const popularCategoriesPlugin = (navigate) => ({
+export const popularCategoriesPlugin = (navigate, indices) => ({
     getSources() {
         return [
             {
@@ -43,7 +45,7 @@ export const popularCategoriesPlugin = (navigate) => ({
                         searchClient,
                         queries: [
                             {
-                                indexName: ALGOLIA_PRODUCTS_INDEX_NAME,
+                                indexName: indices.primary.value,
                                 facet: '__primary_category.1',
                                 params: {
                                     facetQuery: '',
@@ -2,7 +2,6 @@
 /** @jsx React.createElement */
 import {createQuerySuggestionsPlugin} from '@algolia/autocomplete-plugin-query-suggestions'
 import React, {createElement, Fragment, useEffect, useRef, useState} from 'react'
-import {ALGOLIA_PRODUCTS_QUERY_SUGGESTIONS_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
 import {PopularHit} from '../types'
 import {SearchIcon} from '../components'
@@ -42,34 +41,37 @@ function PopularItem({hit}: PopularItemProps) {
 /**
  * An Autocomplete Plugin that provides popular products results from search queries
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const popularPlugin = createQuerySuggestionsPlugin({
-    searchClient,
-    indexName: ALGOLIA_PRODUCTS_QUERY_SUGGESTIONS_INDEX_NAME,
-    getSearchParams() {
-        return {
-            query: '',
-            hitsPerPage: 6
-        }
-    },
-    transformSource({source}) {
-        return {
-            ...source,
-            sourceId: 'popularPlugin',
-            renderer: {createElement, Fragment, render: () => {}},
-            templates: {
-                header({Fragment}) {
-                    return (
-                        <Fragment>
-                            <span className="aa-SourceHeaderTitle">TRENDING</span>
-                            <div className="aa-SourceHeaderLine" />
-                        </Fragment>
-                    )
-                },
-                item({item}) {
-                    return <PopularItem hit={item} />
+export const popularPluginFactory = (indices) =>
+    createQuerySuggestionsPlugin({
+        searchClient,
+        indexName: indices.querySuggestions,
+        getSearchParams() {
+            return {
+                query: '',
+                hitsPerPage: 6
+            }
+        },
+        transformSource({source}) {
+            return {
+                ...source,
+                sourceId: 'popularPlugin',
+                renderer: {createElement, Fragment, render: () => {}},
+                templates: {
+                    header({Fragment}) {
+                        return (
+                            <Fragment>
+                                <span className="aa-SourceHeaderTitle">TRENDING</span>
+                                <div className="aa-SourceHeaderLine" />
+                            </Fragment>
+                        )
+                    },
+                    item({item}) {
+                        return <PopularItem hit={item} />
+                    }
                 }
             }
         }
-    }
-})
+    })
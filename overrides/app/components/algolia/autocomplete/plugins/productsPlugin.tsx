@@ -4,7 +4,6 @@
 import {getAlgoliaResults} from '@algolia/autocomplete-js'
 import {SearchResponse} from '@algolia/client-search'
 import React, {createElement, Fragment} from 'react'
-import {ALGOLIA_PRODUCTS_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
 import {ProductHit} from '../types'
 import {StarIcon} from '../components'
@@ -13,8 +12,12 @@ import {cx} from '../utils'
 /**
  * An Autocomplete Plugin that provides product results from Algolia.
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Function} navigate - Navigation function to handle redirection.
+ * @param {Object} currency - Currency information for pricing display.
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const productsPluginFactory = (navigate, currency) => ({
+export const productsPluginFactory = (navigate, currency, indices) => ({
     getSources({query}) {
         if (!query) {
             return []
@@ -28,7 +31,7 @@ export const productsPluginFactory = (navigate, currency) => ({
                         searchClient,
                         queries: [
                             {
-                                indexName: ALGOLIA_PRODUCTS_INDEX_NAME,
+                                indexName: indices.primary.value,
                                 query,
                                 params: {
                                     hitsPerPage: 4
@@ -55,7 +58,7 @@ export const productsPluginFactory = (navigate, currency) => ({
                                 <span className="aa-SourceHeaderTitle">Products</span>
                                 <span className="aa-SourceHeaderButton">
                                     <a 
-                                        onClick={() => navigate('/search?q=' + state.query)}
+                                        onClick={() => navigate(`/search?q=${encodeURIComponent(state.query)}`)}
                                         className="aa-SeeAllLink"
                                     >
                                         View All Products for "{state.query}" ({state.context.nbProducts})
@@ -3,7 +3,6 @@
 import {getAlgoliaResults} from '@algolia/autocomplete-js'
 import {SearchResponse} from '@algolia/client-search'
 import React, {createElement, Fragment, useEffect, useRef, useState} from 'react'
-import {ALGOLIA_PRODUCTS_INDEX_NAME} from '../constants'
 import {searchClient} from '../searchClient'
 import {cx, hash} from '../utils'
 import {QuickAccessHit} from '../types'
@@ -73,8 +72,11 @@ import {QuickAccessHit} from '../types'
     "objectID": "qr-1645439637066"
     }
  * Check the [Algolia documentation](https://www.algolia.com/doc/ui-libraries/autocomplete/core-concepts/plugins/#building-your-own-plugin) for more information.
+ *
+ * @param {Function} navigate - Navigation function to handle redirection.
+ * @param {Object} indices - The Algolia indices of the active site and locale.
  */
-export const quickAccessPluginFactory = (navigate) => ({
+export const quickAccessPluginFactory = (navigate, indices) => ({
     getSources({query}) {
         if (query) {
             return []
@@ -87,7 +89,7 @@ export const quickAccessPluginFactory = (navigate) => ({
                         searchClient,
                         queries: [
                             {
-                                indexName: ALGOLIA_PRODUCTS_INDEX_NAME,
+                                indexName: indices.primary.value,
                                 query,
                                 params: {
                                     hitsPerPage: 0,
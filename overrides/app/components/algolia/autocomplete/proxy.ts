@@ -0,0 +1,26 @@
+import {getAppOrigin} from '@salesforce/pwa-kit-react-sdk/utils/url'
+
+import {PROXY_PATH} from './constants'
+
+const getProxyUrl = () => new URL(PROXY_PATH, getAppOrigin())
+
+/**
+ * Returns the hosts of the Algolia proxy, in the format of the `hosts` option
+ * of the search and recommend clients.
+ *
+ * @returns {Array} The proxy host, e.g. `[{url: 'www.example.com/api/algolia', protocol: 'https'}]`.
+ */
+export function getProxyHosts() {
+    const {host, pathname, protocol} = getProxyUrl()
+
+    return [{url: `${host}${pathname}`, protocol: protocol.replace(':', '')}]
+}
+
+/**
+ * Returns the host search-insights sends the events to when the Algolia proxy is enabled.
+ *
+ * @returns {string} The insights host, e.g. `https://www.example.com/api/algolia/insights`.
+ */
+export function getProxyInsightsHost() {
+    return `${getProxyUrl().href}/insights`
+}
@@ -1,10 +1,21 @@
 import recommend from '@algolia/recommend'
 
-import {APP_ID, SEARCH_API_KEY} from './constants'
+import {APP_ID, CLIENT_API_KEY, MOCK_ENABLED, PROXY_ENABLED} from './constants'
+import {getCacheOptions} from './cache'
+import {getProxyHosts} from './proxy'
+import {withSecuredApiKey} from './securedApiKey'
+import {createMockRecommendClient} from '../../../mocks/algolia'
 const packageJson = require('./../../../../../package.json')
 const version = packageJson.version
 
-var recommendClient = recommend(APP_ID, SEARCH_API_KEY)
+var recommendClient = MOCK_ENABLED
+    ? createMockRecommendClient()
+    : withSecuredApiKey(
+          recommend(APP_ID, CLIENT_API_KEY, {
+              ...getCacheOptions(),
+              ...(PROXY_ENABLED && {hosts: getProxyHosts()})
+          })
+      )
 recommendClient.addAlgoliaAgent('Algolia for Salesforce B2C - PWA (' + version + ')')
 
 
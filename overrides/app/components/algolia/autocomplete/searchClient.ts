@@ -1,10 +1,21 @@
 import algoliasearch from 'algoliasearch/lite'
 
-import {APP_ID, SEARCH_API_KEY} from './constants'
+import {APP_ID, CLIENT_API_KEY, MOCK_ENABLED, PROXY_ENABLED} from './constants'
+import {getCacheOptions} from './cache'
+import {getProxyHosts} from './proxy'
+import {withSecuredApiKey} from './securedApiKey'
+import {createMockSearchClient} from '../../../mocks/algolia'
 const packageJson = require('./../../../../../package.json')
 const version = packageJson.version
 
-var searchClient = algoliasearch(APP_ID, SEARCH_API_KEY)
+var searchClient = MOCK_ENABLED
+    ? createMockSearchClient()
+    : withSecuredApiKey(
+          algoliasearch(APP_ID, CLIENT_API_KEY, {
+              ...getCacheOptions(),
+              ...(PROXY_ENABLED && {hosts: getProxyHosts()})
+          })
+      )
 searchClient.addAlgoliaAgent('Algolia for Salesforce B2C - PWA (' + version + ')')
 
 
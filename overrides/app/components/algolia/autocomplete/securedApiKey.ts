@@ -0,0 +1,138 @@
+import {clearAlgoliaCache} from './cache'
+import {SECURED_API_KEYS_ENABLED, SECURED_API_KEY_PATH} from './constants'
+
+// Refresh the key a minute before it expires, so that no request is sent with an expired key.
+const EXPIRY_MARGIN = 60
+
+let getAccessToken = null
+let resolveAccessTokenGetter
+const accessTokenGetterReady = new Promise((resolve) => {
+    resolveAccessTokenGetter = resolve
+})
+
+let securedApiKey = null
+let pendingRequest = null
+
+/**
+ * Registers the function returning the SLAS access token of the shopper, e.g. the
+ * `getTokenWhenReady` function of the `useAccessToken` hook of commerce-sdk-react.
+ * The secured API keys are requested with this token.
+ *
+ * @param {Function} getter - An async function returning the access token.
+ */
+export function setAccessTokenGetter(getter) {
+    getAccessToken = getter
+    resolveAccessTokenGetter()
+}
+
+/**
+ * Returns the secured API key of the shopper, if it was already issued.
+ *
+ * @returns {string|undefined} The secured API key.
+ */
+export function getCachedSecuredApiKey() {
+    return securedApiKey?.apiKey
+}
+
+async function fetchSecuredApiKey(accessToken) {
+    const response = await fetch(SECURED_API_KEY_PATH, {
+        method: 'POST',
+        headers: {Authorization: `Bearer ${accessToken}`}
+    })
+    if (!response.ok) {
+        throw new Error(`Could not get a secured API key (HTTP ${response.status}).`)
+    }
+    const {apiKey, validUntil} = await response.json()
+
+    return {apiKey, validUntil, accessToken}
+}
+
+/**
+ * Returns the secured API key of the shopper, requesting a new one from the SSR server when
+ * there is none yet, when it is about to expire or when the shopper logged in or out.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Whether to request a new key even if the current one is valid.
+ * @returns {Promise<string>} The secured API key.
+ */
+export async function getSecuredApiKey({forceRefresh = false} = {}) {
+    await accessTokenGetterReady
+    const accessToken = await getAccessToken()
+
+    const isValid =
+        securedApiKey?.accessToken === accessToken &&
+        securedApiKey.validUntil - EXPIRY_MARGIN > Date.now() / 1000
+    if (isValid && !forceRefresh) {
+        return securedApiKey.apiKey
+    }
+
+    if (!pendingRequest) {
+        pendingRequest = fetchSecuredApiKey(accessToken)
+            .then((key) => {
+                // The access token changes when the shopper logs in or out, and so may the
+                // login state the cached responses were restricted to.
+                if (securedApiKey && securedApiKey.accessToken !== key.accessToken) {
+                    clearAlgoliaCache()
+                }
+                securedApiKey = key
+                // Send the Insights events with the new key too, if search-insights is loaded
+                window.aa?.('init', {partial: true, apiKey: key.apiKey})
+                return key.apiKey
+            })
+            .finally(() => {
+                pendingRequest = null
+            })
+    }
+
+    return pendingRequest
+}
+
+function setApiKey(request, apiKey) {
+    // In the browser, the clients send the key in the query string rather than in the headers.
+    const headers = {...request.headers}
+    Object.keys(headers)
+        .filter((header) => header.toLowerCase() === 'x-algolia-api-key')
+        .forEach((header) => {
+            headers[header] = apiKey
+        })
+
+    return {
+        ...request,
+        url: request.url.replace(
+            /([?&]x-algolia-api-key=)[^&]*/,
+            `$1${encodeURIComponent(apiKey)}`
+        ),
+        headers
+    }
+}
+
+/**
+ * Makes a search or recommend client send its requests with the secured API key of the shopper
+ * instead of the placeholder key it was created with, when the secured API keys are enabled.
+ *
+ * @param {Object} client - The Algolia client.
+ * @returns {Object} The same client.
+ */
+export function withSecuredApiKey(client) {
+    // The server never searches on behalf of a shopper
+    if (!SECURED_API_KEYS_ENABLED || typeof window === 'undefined') {
+        return client
+    }
+
+    const {requester} = client.transporter
+    client.transporter.requester = {
+        async send(request) {
+            const response = await requester.send(setApiKey(request, await getSecuredApiKey()))
+            if (response.status !== 403) {
+                return response
+            }
+
+            // The key may have been rejected because the clock of the device is off,
+            // so it is refreshed once before giving up.
+            const apiKey = await getSecuredApiKey({forceRefresh: true})
+            return requester.send(setApiKey(request, apiKey))
+        }
+    }
+
+    return client
+}
@@ -0,0 +1,61 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {useIntl} from 'react-intl'
+import {HStack, Text, createIcon} from '@chakra-ui/react'
+
+export const StarIcon = createIcon({
+    displayName: 'StarIcon',
+    viewBox: '0 0 24 24',
+    path: (
+        <path
+            fill="currentColor"
+            d="M12 17.27 18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"
+        />
+    )
+})
+
+/**
+ * Renders a rating as stars, e.g. 4 filled stars out of 5 for a rating of 4.3, and the number of
+ * reviews when it is given.
+ */
+const RatingStars = ({rating, count, max = 5, size = 4, ...otherProps}) => {
+    const intl = useIntl()
+    const filledStars = Math.round(rating)
+
+    return (
+        <HStack
+            spacing={0.5}
+            aria-label={intl.formatMessage(
+                {
+                    id: 'rating_stars.assistive_msg.rating',
+                    defaultMessage: 'Rated {rating} out of {max}'
+                },
+                {rating: intl.formatNumber(rating, {maximumFractionDigits: 1}), max}
+            )}
+            {...otherProps}
+        >
+            {new Array(max).fill(0).map((value, index) => (
+                <StarIcon
+                    key={index}
+                    boxSize={size}
+                    color={index < filledStars ? 'yellow.400' : 'gray.200'}
+                    aria-hidden
+                />
+            ))}
+            {count !== undefined && (
+                <Text as="span" fontSize="sm" color="gray.600" paddingLeft={1} aria-hidden>
+                    ({intl.formatNumber(count)})
+                </Text>
+            )}
+        </HStack>
+    )
+}
+
+RatingStars.propTypes = {
+    rating: PropTypes.number.isRequired,
+    count: PropTypes.number,
+    max: PropTypes.number,
+    size: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+}
+
+export default RatingStars
@@ -1,19 +1,15 @@
-import React, {useMemo} from 'react'
+import React from 'react'
 import PropTypes from 'prop-types'
 import '@algolia/ui-components-horizontal-slider-theme'
 import {TrendingFacets as AlgoliaTrendingFacets} from '@algolia/recommend-react'
-import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 import WidgetHeader from './utils/widgetheader'
+import {useAlgolia} from '../../../hooks/use-algolia'
 import {BrandItem} from '../algolia/autocomplete/components/BrandItem'
-import {recommendClient} from '../../algolia/autocomplete/recommendClient'
 
 const TrendingFacets = ({facetName, title}) => {
-    let {app: algoliaConfig} = useMemo(() => getConfig(), [])
-    algoliaConfig = {
-        ...algoliaConfig.algolia
-    }
+    const {indices, recommendClient} = useAlgolia()
 
-    const indexName = algoliaConfig.indices.primary.value
+    const indexName = indices.primary.value
 
     return (
         <AlgoliaTrendingFacets
@@ -1,23 +1,17 @@
-import React, {useMemo, useState} from 'react'
+import React, {useState} from 'react'
 import PropTypes from 'prop-types'
 import ProductTile from '../algolia-product-tile'
 import {HorizontalSlider} from '@algolia/ui-components-horizontal-slider-react'
 import '@algolia/ui-components-horizontal-slider-theme'
 import {TrendingItems as AlgoliaTrendingItems} from '@algolia/recommend-react'
-import {useCurrency} from '@salesforce/retail-react-app/app/hooks'
-import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 import WidgetHeader from './utils/widgetheader'
 import {useWishlistOperations} from '../../../hooks/use-wishlist-operations'
-import {recommendClient} from '../../algolia/autocomplete/recommendClient'
+import {useAlgolia} from '../../../hooks/use-algolia'
 
 const TrendingItems = ({facetName, facetValue}) => {
-    const {currency: activeCurrency} = useCurrency()
-    let {app: algoliaConfig} = useMemo(() => getConfig(), [])
-    algoliaConfig = {
-        ...algoliaConfig.algolia
-    }
+    const {indices, recommendClient, currency: activeCurrency} = useAlgolia()
 
-    const indexName = algoliaConfig.indices.primary.value
+    const indexName = indices.primary.value
 
     const [selectedColors, setSelectedColors] = useState({})
 
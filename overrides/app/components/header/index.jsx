@@ -47,7 +47,6 @@ import {navLinks, messages} from '@salesforce/retail-react-app/app/pages/account
 import useNavigation from '@salesforce/retail-react-app/app/hooks/use-navigation'
 import LoadingSpinner from '@salesforce/retail-react-app/app/components/loading-spinner'
 import {isHydrated, noop} from '@salesforce/retail-react-app/app/utils/utils'
-import {useCurrency} from '@salesforce/retail-react-app/app/hooks'
 
 import {Autocomplete} from '../algolia/autocomplete'
 
@@ -86,7 +85,6 @@ const Header = ({
     const {isRegistered} = useCustomerType()
     const logout = useAuthHelper(AuthHelpers.Logout)
     const navigate = useNavigation()
-    const currency = useCurrency()
     const {
         getButtonProps: getAccountMenuButtonProps,
         getDisclosureProps: getAccountMenuDisclosureProps,
@@ -145,7 +143,7 @@ const Header = ({
                     />
                     <Box {...styles.bodyContainer}>{children}</Box>
                     <Box {...styles.searchContainer} width="24rem">
-                        <Autocomplete navigate={navigate} currency={currency} />
+                        <Autocomplete navigate={navigate} />
                     </Box>
                     <IconButtonWithRegistration
                         icon={<AccountIcon />}
@@ -9,22 +9,14 @@
     This is a demonstration of how to override a file from the base template.
     It's necessary that the module export interface remain consistent, 
     as other files in the base template rely on constants.js, thus we
-    import the underlying constants.js, modifies it and re-export it.
-*/
-
-import {
-    DEFAULT_LIMIT_VALUES,
-    DEFAULT_SEARCH_PARAMS
-} from '@salesforce/retail-react-app/app/constants'
+    re-export the underlying constants.js along with our own constants.
 
-// original value is 25
-DEFAULT_LIMIT_VALUES[0] = 3
-DEFAULT_SEARCH_PARAMS.limit = 3
+    The page size of the product listing pages is the `hitsPerPage` of the Algolia index,
+    not `DEFAULT_SEARCH_PARAMS.limit` of the Shopper Search API.
+*/
 
 export const CUSTOM_HOME_TITLE = '🎉 Hello Extensible React Template!'
 
-export {DEFAULT_LIMIT_VALUES, DEFAULT_SEARCH_PARAMS}
-
 export * from '@salesforce/retail-react-app/app/constants'
 
 // Custom color groups, add your own or override existing ones
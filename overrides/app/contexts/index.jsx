@@ -0,0 +1,83 @@
+import React, {useEffect, useMemo, useRef} from 'react'
+import PropTypes from 'prop-types'
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
+import {useAccessToken, useCustomerId} from '@salesforce/commerce-sdk-react'
+import useMultiSite from '@salesforce/retail-react-app/app/hooks/use-multi-site'
+import {resolveAlgoliaIndices} from '../utils/algolia-utils'
+import {searchClient} from '../components/algolia/autocomplete/searchClient'
+import {recommendClient} from '../components/algolia/autocomplete/recommendClient'
+import {clearAlgoliaCache} from '../components/algolia/autocomplete/cache'
+import {setAccessTokenGetter} from '../components/algolia/autocomplete/securedApiKey'
+import {
+    MOCK_ENABLED,
+    PROXY_ENABLED,
+    SECURED_API_KEYS_ENABLED,
+    SSR_ENABLED
+} from '../components/algolia/autocomplete/constants'
+
+const features = {
+    mock: MOCK_ENABLED,
+    proxy: PROXY_ENABLED,
+    securedApiKeys: SECURED_API_KEYS_ENABLED,
+    insights: !MOCK_ENABLED,
+    ssr: SSR_ENABLED
+}
+
+export const AlgoliaContext = React.createContext()
+
+// This file overrides the contexts of the base template, which its files import, e.g. the
+// `CurrencyProvider` of `_app` and the `MultiSiteContext` of `useMultiSite`: they are re-exported
+// along with the Algolia context.
+export * from '@salesforce/retail-react-app/app/contexts'
+
+/**
+ * Provides the Algolia configuration of the active site and locale to the Algolia components.
+ * Read it with the `useAlgolia` hook, which adds the active currency: the `CurrencyProvider` of
+ * the base template's `_app` is rendered below `AppConfig`, where this provider is.
+ *
+ * It also lets the clients request the secured API key of the shopper with their SLAS access
+ * token, and clears the cached responses when the shopper switches to another locale. It must be
+ * rendered inside the `CommerceApiProvider` and the `MultiSiteProvider`.
+ */
+export const AlgoliaProvider = ({children}) => {
+    const {site, locale} = useMultiSite()
+    const customerId = useCustomerId()
+    const {getTokenWhenReady} = useAccessToken()
+    const isFirstRender = useRef(true)
+
+    useEffect(() => {
+        if (SECURED_API_KEYS_ENABLED) {
+            setAccessTokenGetter(getTokenWhenReady)
+        }
+    }, [getTokenWhenReady])
+
+    useEffect(() => {
+        // The cache is valid for the locale the page was loaded with. It stays valid when the
+        // currency changes: the records have the prices of every currency, and the price
+        // attributes are part of the cached requests.
+        if (isFirstRender.current) {
+            isFirstRender.current = false
+            return
+        }
+        clearAlgoliaCache()
+    }, [locale?.id])
+
+    const value = useMemo(() => {
+        const config = getConfig().app.algolia
+
+        return {
+            config,
+            indices: resolveAlgoliaIndices(config, {siteId: site?.id, localeId: locale?.id}),
+            searchClient,
+            recommendClient,
+            userToken: customerId || undefined,
+            features
+        }
+    }, [site?.id, locale?.id, customerId])
+
+    return <AlgoliaContext.Provider value={value}>{children}</AlgoliaContext.Provider>
+}
+
+AlgoliaProvider.propTypes = {
+    children: PropTypes.node
+}
@@ -0,0 +1,60 @@
+import {useMemo, useRef} from 'react'
+import {useInstantSearch} from 'react-instantsearch'
+
+/**
+ * Returns a category from the records of a search filtered on it: the `categories` of the
+ * records list the categories of their primary category path, from the top level one down, e.g.
+ * `[{id: 'womens', name: 'Womens'}, {id: 'womens-clothing', name: 'Clothing'}]`.
+ *
+ * @param {Object[]} hits - The records.
+ * @param {string} categoryId - The category ID.
+ * @returns {Object|undefined} The category, with the same shape as a category of the Shopper
+ * Products API: `{id, name, parentCategoryTree}`.
+ */
+export const getCategoryFromHits = (hits = [], categoryId) => {
+    const path = hits
+        .map(({categories = []}) =>
+            categories.slice(0, categories.findIndex(({id}) => id === categoryId) + 1)
+        )
+        .find((categories) => categories.length)
+    if (!path) {
+        return undefined
+    }
+
+    return {
+        id: categoryId,
+        name: path[path.length - 1].name,
+        parentCategoryTree: path.map(({id, name}) => ({id, name}))
+    }
+}
+
+/**
+ * Returns the category of a category page from the Algolia results, so that the page does not
+ * wait for the Shopper Products API. The category of the API, when it is loaded, completes it
+ * with e.g. its `pageTitle` and `pageDescription`.
+ *
+ * It must be used within `InstantSearch`, filtered on the category.
+ *
+ * @param {string} [categoryId] - The category ID, if it is a category page.
+ * @param {Object} [category] - The category of the Shopper Products API, if it is loaded.
+ * @returns {Object|undefined} The category, e.g. `{id, name, parentCategoryTree, pageTitle}`.
+ */
+export const useAlgoliaCategory = (categoryId, category) => {
+    const {results} = useInstantSearch()
+    const algoliaCategoryRef = useRef()
+
+    const algoliaCategory = useMemo(
+        () => categoryId && getCategoryFromHits(results?.hits, categoryId),
+        [results, categoryId]
+    )
+    // A refined page may have no results: the category found with the previous results is kept
+    if (algoliaCategory || algoliaCategoryRef.current?.id !== categoryId) {
+        algoliaCategoryRef.current = algoliaCategory
+    }
+
+    if (!algoliaCategoryRef.current) {
+        return category
+    }
+
+    return {...category, ...algoliaCategoryRef.current}
+}
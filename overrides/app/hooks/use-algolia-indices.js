@@ -0,0 +1,9 @@
+import {useAlgolia} from './use-algolia'
+
+/**
+ * Returns the Algolia index names for the active site and locale.
+ *
+ * @returns {Object} The resolved indices (`primary`, `replicas`, `querySuggestions`,
+ * `contents`, `faq` and `categories`).
+ */
+export const useAlgoliaIndices = () => useAlgolia().indices
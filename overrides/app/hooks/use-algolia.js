@@ -0,0 +1,46 @@
+import {useContext, useMemo} from 'react'
+import {useCurrency} from '@salesforce/retail-react-app/app/hooks'
+import useMultiSite from '@salesforce/retail-react-app/app/hooks/use-multi-site'
+import {AlgoliaContext} from '../contexts'
+import {getPriceAttribute, resolveAlgoliaCurrency} from '../utils/algolia-utils'
+
+/**
+ * Returns the Algolia context of the active site, locale and currency.
+ *
+ * @returns {Object} The context:
+ *  - `config`: the Algolia configuration (`config.app.algolia`)
+ *  - `indices`: the resolved index names, see `resolveAlgoliaIndices`
+ *  - `searchClient` and `recommendClient`: the Algolia clients
+ *  - `currency`: the active currency of `useCurrency`, e.g. `USD`, see `resolveAlgoliaCurrency`
+ *  - `priceAttribute`: the attribute of the prices in the active currency, e.g. `price.USD`
+ *  - `userToken`: the customer ID of the shopper, used as the Insights user token
+ *  - `features`: whether the `mock`, the `proxy`, the `securedApiKeys`, `insights` and the
+ *    server-side rendering of the search results (`ssr`) are enabled
+ */
+export const useAlgolia = () => {
+    const context = useContext(AlgoliaContext)
+    const {site} = useMultiSite()
+    const {currency: activeCurrency} = useCurrency()
+    const currency = resolveAlgoliaCurrency(site, activeCurrency)
+    const value = useMemo(
+        () => context && {...context, currency, priceAttribute: getPriceAttribute(currency)},
+        [context, currency]
+    )
+
+    if (value === undefined) {
+        throw new Error('useAlgolia must be used within AlgoliaProvider')
+    }
+
+    return value
+}
+
+/**
+ * Returns the Algolia search and recommend clients.
+ *
+ * @returns {Object} `{searchClient, recommendClient}`.
+ */
+export const useAlgoliaClients = () => {
+    const {searchClient, recommendClient} = useAlgolia()
+
+    return {searchClient, recommendClient}
+}
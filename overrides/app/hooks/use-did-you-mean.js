@@ -0,0 +1,49 @@
+import {useQuery} from '@tanstack/react-query'
+import {useAlgolia} from './use-algolia'
+
+const MAX_SUGGESTIONS = 3
+
+/**
+ * Returns the query suggestions close to a query without results, e.g. `dress` for `dres`, from
+ * the query suggestions index: the typo tolerance of Algolia matches the misspelled queries, and
+ * the words of the query are optional if no suggestion matches them all.
+ *
+ * @param {string} [query] - The query.
+ * @returns {string[]} The suggestions, none while they load or if the search fails.
+ */
+export const useDidYouMean = (query) => {
+    const {searchClient, indices} = useAlgolia()
+    const indexName = indices.querySuggestions
+
+    const {data: suggestions = []} = useQuery({
+        queryKey: ['algolia', 'didYouMean', indexName, query],
+        queryFn: async () => {
+            try {
+                const {results} = await searchClient.search([
+                    {
+                        indexName,
+                        query,
+                        params: {
+                            hitsPerPage: MAX_SUGGESTIONS + 1,
+                            removeWordsIfNoResults: 'allOptional'
+                        }
+                    }
+                ])
+
+                return results[0].hits
+                    .map((hit) => hit.query)
+                    .filter(
+                        (suggestion) =>
+                            suggestion && suggestion.toLowerCase() !== query.trim().toLowerCase()
+                    )
+                    .slice(0, MAX_SUGGESTIONS)
+            } catch (error) {
+                console.error('Algolia query suggestions error:', error)
+                return []
+            }
+        },
+        enabled: !!query && !!indexName
+    })
+
+    return suggestions
+}
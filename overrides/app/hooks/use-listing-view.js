@@ -0,0 +1,51 @@
+import {useEffect} from 'react'
+import {useHistory, useLocation} from 'react-router-dom'
+import {VIEW_PARAMETER} from '../utils/algolia-routing'
+import {readListingPreferences, writeListingPreference} from '../utils/algolia-preferences'
+
+export const LISTING_VIEWS = ['grid', 'list']
+
+/**
+ * Returns the view of the products of a product listing page, `grid` or `list`, and a function
+ * to change it.
+ *
+ * The view is kept in the `view` URL parameter, omitted for the grid, and in the preferences of
+ * the shopper. A URL without `view` gets the view of the preferences once the page is mounted:
+ * the preferences are not known on the server.
+ *
+ * @returns {Array} `[view, setView]`.
+ */
+export const useListingView = () => {
+    const location = useLocation()
+    const history = useHistory()
+    const searchParams = new URLSearchParams(location.search)
+    const view = LISTING_VIEWS.includes(searchParams.get(VIEW_PARAMETER))
+        ? searchParams.get(VIEW_PARAMETER)
+        : LISTING_VIEWS[0]
+
+    // The URL is replaced, so that the back button does not go through the views
+    const replaceView = (newView) => {
+        const newSearchParams = new URLSearchParams(location.search)
+        if (newView === LISTING_VIEWS[0]) {
+            newSearchParams.delete(VIEW_PARAMETER)
+        } else {
+            newSearchParams.set(VIEW_PARAMETER, newView)
+        }
+        history.replace({...location, search: `?${newSearchParams}`})
+    }
+
+    const hasViewParameter = searchParams.has(VIEW_PARAMETER)
+    useEffect(() => {
+        const preferredView = readListingPreferences().view
+        if (!hasViewParameter && LISTING_VIEWS.includes(preferredView) && preferredView !== view) {
+            replaceView(preferredView)
+        }
+    }, [location.pathname, hasViewParameter])
+
+    const setView = (newView) => {
+        writeListingPreference('view', newView)
+        replaceView(newView)
+    }
+
+    return [view, setView]
+}
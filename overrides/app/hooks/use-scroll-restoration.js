@@ -0,0 +1,70 @@
+import {useEffect, useRef, useState} from 'react'
+import {useHistory, useLocation} from 'react-router-dom'
+
+const STORAGE_KEY = 'algolia.scrollPositions'
+
+// The positions of the last pages left, so that the session storage does not grow endlessly
+const MAX_POSITIONS = 20
+
+const readPositions = () => {
+    try {
+        return JSON.parse(window.sessionStorage.getItem(STORAGE_KEY)) || {}
+    } catch (error) {
+        return {}
+    }
+}
+
+const writePosition = (url, position) => {
+    const entries = [
+        ...Object.entries(readPositions()).filter(([key]) => key !== url),
+        [url, position]
+    ].slice(-MAX_POSITIONS)
+    try {
+        window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(entries)))
+    } catch (error) {
+        // The position is not restored if the storage is full or disabled
+    }
+}
+
+/**
+ * Restores the scroll position of a page when the shopper comes back to it with the browser
+ * history, e.g. from a product detail page.
+ *
+ * The browser restores the position before the content is rendered, e.g. before the pages loaded
+ * with "Load more" are back, so the position is saved when the app navigates away and restored
+ * once the content is ready. It is restored after a render following the mount, as the layout of
+ * the page can depend on the viewport, which is only known once mounted.
+ *
+ * @param {boolean} isReady - Whether the content of the page is rendered.
+ */
+export const useScrollRestoration = (isReady) => {
+    const history = useHistory()
+    const location = useLocation()
+    const url = `${location.pathname}${location.search}`
+    const urlRef = useRef(url)
+    urlRef.current = url
+
+    // The position is only restored when going back or forward, and once
+    const isRestoredRef = useRef(history.action !== 'POP')
+    const [isMounted, setIsMounted] = useState(false)
+    useEffect(() => setIsMounted(true), [])
+
+    useEffect(
+        () =>
+            // Called when the location changes, before the page is rendered for the new location
+            history.listen(() => writePosition(urlRef.current, window.scrollY)),
+        [history]
+    )
+
+    useEffect(() => {
+        if (isRestoredRef.current || !isMounted || !isReady) {
+            return
+        }
+
+        isRestoredRef.current = true
+        const position = readPositions()[urlRef.current]
+        if (position !== undefined) {
+            window.scrollTo(0, position)
+        }
+    }, [isMounted, isReady])
+}
@@ -0,0 +1,34 @@
+import {useHistory, useLocation} from 'react-router-dom'
+import {TAB_PARAMETER} from '../utils/algolia-routing'
+
+export const SEARCH_TABS = ['products', 'articles', 'faq']
+
+/**
+ * Returns the tab of the search page, `products`, `articles` or `faq`, and a function to change
+ * it.
+ *
+ * The tab is kept in the `tab` URL parameter, omitted for the products.
+ *
+ * @returns {Array} `[tab, setTab]`.
+ */
+export const useSearchTab = () => {
+    const location = useLocation()
+    const history = useHistory()
+    const searchParams = new URLSearchParams(location.search)
+    const tab = SEARCH_TABS.includes(searchParams.get(TAB_PARAMETER))
+        ? searchParams.get(TAB_PARAMETER)
+        : SEARCH_TABS[0]
+
+    // The URL is replaced, so that the back button does not go through the tabs
+    const setTab = (newTab) => {
+        const newSearchParams = new URLSearchParams(location.search)
+        if (newTab === SEARCH_TABS[0]) {
+            newSearchParams.delete(TAB_PARAMETER)
+        } else {
+            newSearchParams.set(TAB_PARAMETER, newTab)
+        }
+        history.replace({...location, search: `?${newSearchParams}`})
+    }
+
+    return [tab, setTab]
+}
@@ -5,8 +5,12 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 import {start, registerServiceWorker} from '@salesforce/pwa-kit-react-sdk/ssr/browser/main'
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
+import {validateAlgoliaConfig} from './utils/validate-algolia-config'
 
 const main = () => {
+    validateAlgoliaConfig(getConfig().app.algolia)
+
     // The path to your service worker should match what is set up in ssr.js
     return Promise.all([start(), registerServiceWorker('/worker.js')])
 }
@@ -0,0 +1,694 @@
+/*
+ * A small in-memory implementation of the Algolia search engine, used by the mock clients to
+ * answer from the fixtures. It supports what the storefront widgets rely on: prefix matching of
+ * the query, `filters`, `facetFilters` (with excluded values) and `numericFilters`, facet counts
+ * and stats, searches for facet values, pagination, highlighting, snippeting, the `lastWords` and
+ * `firstWords` removal of `removeWordsIfNoResults`, and the `userData` and `renderingContent` of
+ * the query rules. A filter it cannot parse throws an error.
+ * It is not meant to reproduce the Algolia relevance: the hits keep the order of the fixtures,
+ * unless they are sorted by a replica.
+ */
+
+const DEFAULT_HITS_PER_PAGE = 20
+const DEFAULT_MAX_VALUES_PER_FACET = 100
+const DEFAULT_MAX_FACET_HITS = 10
+const DEFAULT_SNIPPET_WORDS = 10
+
+const normalize = (text) =>
+    String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+
+const getWords = (text) => normalize(text).match(/[\p{L}\p{N}]+/gu) || []
+
+const flatten = (values) =>
+    values.flatMap((value) => (Array.isArray(value) ? flatten(value) : [value]))
+
+/**
+ * Returns the values of an attribute of a record, e.g. `price.USD` or `categories.id`.
+ * Arrays are traversed, so a record can have several values for an attribute.
+ *
+ * @param {Object} record - The record.
+ * @param {string} attribute - The attribute, in dot notation.
+ * @returns {Array} The values.
+ */
+export const getValues = (record, attribute) =>
+    flatten(
+        attribute.split('.').reduce(
+            (values, key) =>
+                flatten(values)
+                    .filter((value) => value !== null && typeof value === 'object')
+                    .map((value) => value[key]),
+            [record]
+        )
+    ).filter((value) => value !== undefined && value !== null)
+
+/**
+ * Reads the search parameters, which the clients send either as an object or as a query string.
+ *
+ * @param {Object|string} params - The search parameters.
+ * @returns {Object} The search parameters as an object.
+ */
+export const parseParams = (params = {}) => {
+    if (typeof params !== 'string') {
+        return params
+    }
+
+    return Object.fromEntries(
+        [...new URLSearchParams(params)].map(([key, value]) => {
+            try {
+                return [key, JSON.parse(value)]
+            } catch (error) {
+                return [key, value]
+            }
+        })
+    )
+}
+
+const toArray = (value) => {
+    if (value === undefined || value === null || value === '') return []
+    if (Array.isArray(value)) return value
+    return String(value).split(',')
+}
+
+/* Filters */
+
+const COMPARISON = /^(.+?)(<=|>=|!=|<|>|=)(.+)$/
+const OPERATOR = /^(<=|>=|!=|<|>|=)$/
+
+const matchesFacet = (record, attribute, expected) =>
+    getValues(record, attribute).some((value) => normalize(value) === normalize(expected))
+
+const matchesNumeric = (record, attribute, operator, expected) => {
+    const number = Number(expected)
+    return getValues(record, attribute).some((value) => {
+        switch (operator) {
+            case '<':
+                return value < number
+            case '<=':
+                return value <= number
+            case '>':
+                return value > number
+            case '>=':
+                return value >= number
+            case '!=':
+                return value !== number
+            default:
+                return value === number
+        }
+    })
+}
+
+// `price.USD:10 TO 20`
+const RANGE = /^(-?\d+(?:\.\d+)?)\s+TO\s+(-?\d+(?:\.\d+)?)$/
+
+// In the facet filters, a value starting with a minus is escaped, e.g. `temperature:\-5`, as the
+// minus of `color:-red` excludes the value
+const unescapeFacetValue = (value) => value.replace(/^\\-/, '-')
+
+const createFilterError = (filter) =>
+    new Error(`The Algolia mock cannot parse the filter "${filter}".`)
+
+/**
+ * Returns a predicate for a single filter, e.g. `brand:Apple`, `price.USD:10 TO 20` or
+ * `price.USD>=10`. In the facet filters, `color:-red` excludes the facet value, the way the
+ * InstantSearch helper writes the excluded refinements: the `filters` expressions use `NOT`.
+ *
+ * @param {string} filter - The filter.
+ * @param {Object} [options]
+ * @param {boolean} [options.isFacetFilter] - Whether the filter is one of the facet filters.
+ * @returns {Function} The predicate, taking a record.
+ * @throws {Error} If the filter cannot be parsed, rather than letting every record match it.
+ */
+const createFilterPredicate = (filter, {isFacetFilter = false} = {}) => {
+    const separatorIndex = filter.indexOf(':')
+    if (separatorIndex === -1) {
+        const [, attribute, operator, value] = filter.match(COMPARISON) || []
+        if (!attribute || !Number.isFinite(Number(value))) {
+            throw createFilterError(filter)
+        }
+        return (record) => matchesNumeric(record, attribute.trim(), operator, value.trim())
+    }
+
+    const attribute = filter.slice(0, separatorIndex).trim()
+    const value = filter.slice(separatorIndex + 1).trim()
+    if (!attribute || !value || (isFacetFilter && value === '-')) {
+        throw createFilterError(filter)
+    }
+
+    const [, low, high] = value.match(RANGE) || []
+    if (low !== undefined) {
+        return (record) =>
+            matchesNumeric(record, attribute, '>=', low) &&
+            matchesNumeric(record, attribute, '<=', high)
+    }
+    if (/^-?[\d.]+\s+TO(\s|$)/.test(value)) {
+        throw createFilterError(filter)
+    }
+    if (!isFacetFilter) {
+        return (record) => matchesFacet(record, attribute, value)
+    }
+    if (value.startsWith('-')) {
+        const excludedValue = unescapeFacetValue(value.slice(1))
+        return (record) => !matchesFacet(record, attribute, excludedValue)
+    }
+    return (record) => matchesFacet(record, attribute, unescapeFacetValue(value))
+}
+
+/**
+ * Splits a `filters` expression into tokens: parentheses, `AND`, `OR`, `NOT` and filters.
+ * Quotes are removed, the spaces they enclose are kept.
+ */
+const tokenize = (filters) => {
+    const tokens = []
+    let index = 0
+    while (index < filters.length) {
+        const char = filters[index]
+        if (/\s/.test(char)) {
+            index++
+        } else if (char === '(' || char === ')') {
+            tokens.push(char)
+            index++
+        } else {
+            let token = ''
+            let isQuoted = false
+            while (index < filters.length && (isQuoted || !/[\s()]/.test(filters[index]))) {
+                if (filters[index] === '"') {
+                    isQuoted = !isQuoted
+                } else {
+                    token += filters[index]
+                }
+                index++
+            }
+            tokens.push(token)
+        }
+    }
+    return tokens
+}
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'TO', '(', ')'])
+
+/**
+ * Parses a `filters` expression, e.g. `categories.id:womens AND (brand:Apple OR price.USD < 50)`.
+ *
+ * @param {string} filters - The filters expression.
+ * @returns {Function} The predicate, taking a record.
+ * @throws {Error} If the expression cannot be parsed.
+ */
+export const parseFilters = (filters) => {
+    const tokens = tokenize(filters)
+    let position = 0
+    const peek = () => tokens[position]
+    const next = () => tokens[position++]
+    const fail = (message) => {
+        throw new Error(`The Algolia mock cannot parse the filters "${filters}": ${message}.`)
+    }
+    const nextOperand = () => {
+        const token = next()
+        if (token === undefined || KEYWORDS.has(token)) {
+            fail(token === undefined ? 'unexpected end' : `unexpected "${token}"`)
+        }
+        return token
+    }
+
+    const parseFilter = () => {
+        let filter = nextOperand()
+        // `price.USD:10 TO 20`, `price.USD > 10`, `price.USD >10` and `price.USD< 10` span
+        // several tokens
+        if (peek() === 'TO') {
+            next()
+            filter += ` TO ${nextOperand()}`
+        } else if (OPERATOR.test(peek() || '')) {
+            filter += next() + nextOperand()
+        } else if (!filter.includes(':') && /^(<=|>=|!=|<|>|=)/.test(peek() || '')) {
+            filter += next()
+        } else if (/(<=|>=|!=|<|>|=)$/.test(filter) && !filter.includes(':')) {
+            filter += nextOperand()
+        }
+        return createFilterPredicate(filter)
+    }
+    const parseUnary = () => {
+        if (peek() === 'NOT') {
+            next()
+            const predicate = parseUnary()
+            return (record) => !predicate(record)
+        }
+        if (peek() === '(') {
+            next()
+            const predicate = parseOr()
+            if (next() !== ')') {
+                fail('missing ")"')
+            }
+            return predicate
+        }
+        return parseFilter()
+    }
+    const parseAnd = () => {
+        const predicates = [parseUnary()]
+        while (peek() === 'AND') {
+            next()
+            predicates.push(parseUnary())
+        }
+        return (record) => predicates.every((predicate) => predicate(record))
+    }
+    const parseOr = () => {
+        const predicates = [parseAnd()]
+        while (peek() === 'OR') {
+            next()
+            predicates.push(parseAnd())
+        }
+        return (record) => predicates.some((predicate) => predicate(record))
+    }
+
+    if (!tokens.length) {
+        return () => true
+    }
+    const predicate = parseOr()
+    if (position < tokens.length) {
+        fail(`unexpected "${peek()}"`)
+    }
+    return predicate
+}
+
+/**
+ * Returns a predicate for `facetFilters` or `numericFilters`: the top-level filters are combined
+ * with AND, the filters of nested arrays with OR.
+ *
+ * @param {Array|string} filters - The filters, e.g. `[["color:red", "color:blue"], "size:M"]`.
+ * @param {Object} [options] - The options of `createFilterPredicate`.
+ * @returns {Function} The predicate, taking a record.
+ */
+const parseFilterArray = (filters, options) => {
+    const groups = (typeof filters === 'string' ? [filters] : filters || []).map((group) =>
+        (Array.isArray(group) ? group : [group]).map((filter) =>
+            createFilterPredicate(filter, options)
+        )
+    )
+    return (record) =>
+        groups.every((predicates) => predicates.some((predicate) => predicate(record)))
+}
+
+/* Query */
+
+const getSearchableAttributes = (settings, record) =>
+    (settings.searchableAttributes || Object.keys(record)).map((attribute) =>
+        attribute.replace(/^unordered\((.+)\)$/, '$1')
+    )
+
+const matchesQuery = (record, queryWords, settings) => {
+    if (!queryWords.length) {
+        return true
+    }
+    const recordWords = getSearchableAttributes(settings, record).flatMap((attribute) =>
+        getValues(record, attribute).flatMap(getWords)
+    )
+    return queryWords.every((queryWord) =>
+        recordWords.some((recordWord) => recordWord.startsWith(queryWord))
+    )
+}
+
+/* Highlighting */
+
+const highlightText = (text, queryWords, {preTag, postTag}) => {
+    const matchedWords = new Set()
+    const value = String(text).replace(/[\p{L}\p{N}]+/gu, (word) => {
+        const queryWord = queryWords
+            .filter((candidate) => normalize(word).startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0]
+        if (!queryWord) {
+            return word
+        }
+        matchedWords.add(queryWord)
+        return `${preTag}${word.slice(0, queryWord.length)}${postTag}${word.slice(
+            queryWord.length
+        )}`
+    })
+
+    const matchLevel =
+        matchedWords.size === 0
+            ? 'none'
+            : matchedWords.size === queryWords.length
+            ? 'full'
+            : 'partial'
+    return {value, matchLevel, matchedWords: [...matchedWords]}
+}
+
+const mapValue = (value, callback) =>
+    Array.isArray(value) ? value.map((item) => mapValue(item, callback)) : callback(value)
+
+const getHighlightResult = (record, attributes, queryWords, tags) =>
+    Object.fromEntries(
+        attributes
+            .filter((attribute) => record[attribute] !== undefined)
+            .map((attribute) => [
+                attribute,
+                mapValue(record[attribute], (value) => {
+                    const result = highlightText(value, queryWords, tags)
+                    return {
+                        ...result,
+                        fullyHighlighted:
+                            result.matchLevel === 'full' &&
+                            result.value === `${tags.preTag}${value}${tags.postTag}`
+                    }
+                })
+            ])
+    )
+
+const snippetText = (text, queryWords, wordCount, tags) => {
+    const words = String(text).split(/\s+/)
+    const firstMatch = words.findIndex((word) =>
+        getWords(word).some((recordWord) =>
+            queryWords.some((queryWord) => recordWord.startsWith(queryWord))
+        )
+    )
+    const start = Math.max(0, Math.min(firstMatch, words.length - wordCount))
+    const snippet = words.slice(start, start + wordCount).join(' ')
+    const {value, matchLevel} = highlightText(snippet, queryWords, tags)
+
+    return {
+        value: `${start > 0 ? tags.ellipsis : ''}${value}${
+            start + wordCount < words.length ? tags.ellipsis : ''
+        }`,
+        matchLevel
+    }
+}
+
+const getSnippetResult = (record, attributes, queryWords, tags) =>
+    Object.fromEntries(
+        attributes
+            .map((attribute) => attribute.split(':'))
+            .filter(([attribute]) => record[attribute] !== undefined)
+            .map(([attribute, wordCount = DEFAULT_SNIPPET_WORDS]) => [
+                attribute,
+                mapValue(record[attribute], (value) =>
+                    snippetText(value, queryWords, Number(wordCount), tags)
+                )
+            ])
+    )
+
+/* Faceting */
+
+const countFacetValues = (records, attribute) => {
+    const counts = {}
+    records.forEach((record) => {
+        new Set(getValues(record, attribute).map(String)).forEach((value) => {
+            counts[value] = (counts[value] || 0) + 1
+        })
+    })
+    return counts
+}
+
+const sortFacetValues = (counts) =>
+    Object.entries(counts).sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+
+const getFacetAttributes = (facets, settings) => {
+    const attributes = toArray(facets)
+    // `*` stands for every attribute for faceting, except the ones only used to filter
+    const attributesForFaceting = (settings.attributesForFaceting || [])
+        .filter((attribute) => !attribute.startsWith('filterOnly('))
+        .map((attribute) => attribute.replace(/^(searchable|afterDistinct)\((.+)\)$/, '$2'))
+    return attributes.includes('*') ? attributesForFaceting : attributes
+}
+
+const getFacets = (records, attributes, maxValuesPerFacet) =>
+    Object.fromEntries(
+        attributes.map((attribute) => [
+            attribute,
+            Object.fromEntries(
+                sortFacetValues(countFacetValues(records, attribute)).slice(0, maxValuesPerFacet)
+            )
+        ])
+    )
+
+const getFacetsStats = (records, attributes) =>
+    Object.fromEntries(
+        attributes
+            .map((attribute) => [
+                attribute,
+                records.flatMap((record) => getValues(record, attribute)).filter(Number.isFinite)
+            ])
+            .filter(([, values]) => values.length)
+            .map(([attribute, values]) => {
+                const sum = values.reduce((total, value) => total + value, 0)
+                return [
+                    attribute,
+                    {
+                        min: Math.min(...values),
+                        max: Math.max(...values),
+                        avg: sum / values.length,
+                        sum
+                    }
+                ]
+            })
+    )
+
+/* Rules */
+
+const getAppliedRules = (rules, query, ruleContexts, filters) => {
+    const normalizedQuery = getWords(query).join(' ')
+    const contexts = toArray(ruleContexts)
+
+    return rules.filter(
+        (rule) =>
+            rule.enabled !== false &&
+            (rule.conditions || []).some((condition) => {
+                if (condition.context && !contexts.includes(condition.context)) {
+                    return false
+                }
+                // Only the exact filters of the search are matched, e.g. `categories.id:womens`
+                if (condition.filters && condition.filters !== filters) {
+                    return false
+                }
+                if (condition.pattern === undefined) {
+                    return true
+                }
+                const pattern = getWords(condition.pattern).join(' ')
+                switch (condition.anchoring) {
+                    case 'startsWith':
+                        return normalizedQuery.startsWith(pattern)
+                    case 'endsWith':
+                        return normalizedQuery.endsWith(pattern)
+                    case 'contains':
+                        return normalizedQuery.includes(pattern)
+                    default:
+                        return normalizedQuery === pattern
+                }
+            })
+    )
+}
+
+/* Search */
+
+const sortRecords = (records, ranking) => {
+    const [, direction, attribute] = (ranking || '').match(/^(asc|desc)\((.+)\)$/) || []
+    if (!attribute) {
+        return records
+    }
+
+    const getSortValue = (record) => {
+        const values = getValues(record, attribute)
+        return values.length ? Math.min(...values) : undefined
+    }
+    // Records without the attribute are ranked last, as Algolia does
+    return [...records].sort((a, b) => {
+        const valueA = getSortValue(a)
+        const valueB = getSortValue(b)
+        if (valueA === undefined) return valueB === undefined ? 0 : 1
+        if (valueB === undefined) return -1
+        return direction === 'asc' ? valueA - valueB : valueB - valueA
+    })
+}
+
+/**
+ * Returns the records matching the query and the filters of the search parameters.
+ *
+ * @param {Object} index - The fixture of the index: `{settings, records, rules}`.
+ * @param {Object} params - The search parameters.
+ * @returns {Object} `{records, queryWords, appliedRules, queryAfterRemoval}`.
+ */
+export const filterRecords = (index, params) => {
+    const {settings = {}, records = [], rules = []} = index
+    const queryWords = getWords(params.query || '')
+    const appliedRules = getAppliedRules(
+        rules,
+        params.query || '',
+        params.ruleContexts,
+        params.filters || ''
+    )
+
+    const matchesFilters = parseFilters(params.filters || '')
+    const matchesFacetFilters = parseFilterArray(params.facetFilters, {isFacetFilter: true})
+    const matchesNumericFilters = parseFilterArray(params.numericFilters)
+    const matchesOptionalFilters = parseFilterArray(params.optionalFilters, {isFacetFilter: true})
+
+    const matchRecords = (words) =>
+        records.filter(
+            (record) =>
+                matchesQuery(record, words, settings) &&
+                matchesFilters(record) &&
+                matchesFacetFilters(record) &&
+                matchesNumericFilters(record)
+        )
+
+    // Like `removeWordsIfNoResults` of Algolia, the last or first words are removed one by one
+    // until the query matches records. `allOptional` is not supported.
+    let matchedWords = queryWords
+    let matchingRecords = matchRecords(matchedWords)
+    const removal = params.removeWordsIfNoResults
+    while (
+        !matchingRecords.length &&
+        matchedWords.length > 1 &&
+        (removal === 'lastWords' || removal === 'firstWords')
+    ) {
+        matchedWords = removal === 'lastWords' ? matchedWords.slice(0, -1) : matchedWords.slice(1)
+        matchingRecords = matchRecords(matchedWords)
+    }
+    if (!matchingRecords.length) {
+        matchedWords = queryWords
+    }
+    // The removed words are emphasized, e.g. `summer <em>dreses</em>`
+    const removedCount = queryWords.length - matchedWords.length
+    const isRemoved = (index) =>
+        removal === 'lastWords' ? index >= matchedWords.length : index < removedCount
+    const queryAfterRemoval = removedCount
+        ? queryWords.map((word, index) => (isRemoved(index) ? `<em>${word}</em>` : word)).join(' ')
+        : undefined
+
+    // Optional filters only boost the records matching them
+    const boostedRecords = params.optionalFilters
+        ? [
+              ...matchingRecords.filter(matchesOptionalFilters),
+              ...matchingRecords.filter((record) => !matchesOptionalFilters(record))
+          ]
+        : matchingRecords
+
+    return {
+        records: sortRecords(boostedRecords, index.ranking),
+        queryWords: matchedWords,
+        appliedRules,
+        queryAfterRemoval
+    }
+}
+
+/**
+ * Answers a search the way the Algolia search API does.
+ *
+ * @param {Object} index - The fixture of the index: `{name, settings, records, rules, ranking}`.
+ * @param {Object|string} searchParams - The search parameters.
+ * @returns {Object} The search response.
+ */
+export const search = (index, searchParams) => {
+    const params = parseParams(searchParams)
+    const {settings = {}} = index
+    const {records, queryWords, appliedRules, queryAfterRemoval} = filterRecords(index, params)
+
+    const hitsPerPage = Number(params.hitsPerPage ?? settings.hitsPerPage ?? DEFAULT_HITS_PER_PAGE)
+    const page = Number(params.page || 0)
+    const offset = params.offset !== undefined ? Number(params.offset) : page * hitsPerPage
+    const length = params.length !== undefined ? Number(params.length) : hitsPerPage
+    const tags = {
+        preTag: params.highlightPreTag || '<em>',
+        postTag: params.highlightPostTag || '</em>',
+        ellipsis: params.snippetEllipsisText ?? '…'
+    }
+    const attributesToHighlight = toArray(
+        params.attributesToHighlight ??
+            settings.attributesToHighlight ??
+            getSearchableAttributes(settings, {})
+    )
+    const attributesToSnippet = toArray(params.attributesToSnippet ?? settings.attributesToSnippet)
+
+    const hits = records.slice(offset, offset + length).map((record) => ({
+        ...record,
+        _highlightResult: getHighlightResult(record, attributesToHighlight, queryWords, tags),
+        ...(attributesToSnippet.length && {
+            _snippetResult: getSnippetResult(record, attributesToSnippet, queryWords, tags)
+        })
+    }))
+    const facetAttributes = getFacetAttributes(params.facets, settings)
+    const userData = appliedRules
+        .map((rule) => rule.consequence?.userData)
+        .filter((data) => data !== undefined)
+    // The rendering content of the first rule applied replaces the one of the settings
+    const renderingContent =
+        appliedRules.find((rule) => rule.consequence?.renderingContent)?.consequence
+            .renderingContent || settings.renderingContent
+
+    return {
+        hits,
+        nbHits: records.length,
+        page,
+        nbPages: hitsPerPage ? Math.ceil(records.length / hitsPerPage) : 0,
+        hitsPerPage,
+        ...(facetAttributes.length && {
+            facets: getFacets(
+                records,
+                facetAttributes,
+                Number(params.maxValuesPerFacet || DEFAULT_MAX_VALUES_PER_FACET)
+            ),
+            facets_stats: getFacetsStats(records, facetAttributes)
+        }),
+        ...(userData.length && {userData}),
+        ...(renderingContent && {renderingContent}),
+        ...(queryAfterRemoval && {queryAfterRemoval}),
+        ...(params.clickAnalytics && {queryID: `mock-${Date.now().toString(16)}`}),
+        exhaustiveNbHits: true,
+        exhaustiveFacetsCount: true,
+        query: params.query || '',
+        params: new URLSearchParams(
+            Object.entries(params).map(([key, value]) => [
+                key,
+                typeof value === 'object' ? JSON.stringify(value) : value
+            ])
+        ).toString(),
+        index: index.name,
+        processingTimeMS: 1
+    }
+}
+
+/**
+ * Answers a search for facet values the way the Algolia search API does.
+ *
+ * @param {Object} index - The fixture of the index.
+ * @param {string} facetName - The facet attribute.
+ * @param {Object|string} searchParams - The search parameters, with `facetQuery` and `maxFacetHits`.
+ * @returns {Object} The search for facet values response.
+ */
+export const searchForFacetValues = (index, facetName, searchParams) => {
+    const {facetQuery = '', maxFacetHits, ...params} = parseParams(searchParams)
+    const {records} = filterRecords(index, params)
+    const facetQueryWords = getWords(facetQuery)
+    const tags = {
+        preTag: params.highlightPreTag || '<em>',
+        postTag: params.highlightPostTag || '</em>'
+    }
+
+    const facetHits = sortFacetValues(countFacetValues(records, facetName))
+        .filter(([value]) =>
+            facetQueryWords.every((queryWord) =>
+                getWords(value).some((word) => word.startsWith(queryWord))
+            )
+        )
+        .slice(0, Number(maxFacetHits || DEFAULT_MAX_FACET_HITS))
+        .map(([value, count]) => ({
+            value,
+            highlighted: highlightText(value, facetQueryWords, tags).value,
+            count
+        }))
+
+    return {facetHits, exhaustiveFacetsCount: true, processingTimeMS: 1}
+}
+
+/**
+ * Returns the counts of the values of a facet among the records matching the search parameters.
+ *
+ * @param {Object} index - The fixture of the index.
+ * @param {string} facetName - The facet attribute.
+ * @param {Object|string} [searchParams] - The search parameters.
+ * @returns {Array} The facet values and their count, sorted by decreasing count.
+ */
+export const getFacetValues = (index, facetName, searchParams) =>
+    sortFacetValues(
+        countFacetValues(filterRecords(index, parseParams(searchParams)).records, facetName)
+    )
@@ -0,0 +1,333 @@
+import {parseFilters, search, searchForFacetValues} from './engine'
+
+const index = {
+    name: 'products',
+    settings: {
+        searchableAttributes: ['name', 'brand', 'unordered(description)'],
+        attributesForFaceting: [
+            'searchable(brand)',
+            'color',
+            'size',
+            'price.USD',
+            'filterOnly(id)'
+        ],
+        attributesToHighlight: ['name', 'brand']
+    },
+    records: [
+        {
+            objectID: '1',
+            name: 'Red summer dress',
+            brand: 'Acme',
+            color: 'Red',
+            size: ['S', 'M'],
+            price: {USD: 20},
+            description: 'A light red dress for the summer days in the city and at the beach.'
+        },
+        {
+            objectID: '2',
+            name: 'Blue winter coat',
+            brand: 'Acme',
+            color: 'Blue',
+            size: ['M', 'L'],
+            price: {USD: 120}
+        },
+        {
+            objectID: '3',
+            name: 'Red scarf',
+            brand: 'Other',
+            color: 'Red',
+            size: ['One size'],
+            price: {USD: 15.5}
+        },
+        {
+            objectID: '4',
+            name: 'Green dress',
+            brand: '-Minus',
+            color: 'Green',
+            size: ['S'],
+            price: {USD: 45}
+        }
+    ],
+    rules: [
+        {
+            objectID: 'redirect-returns',
+            conditions: [{anchoring: 'is', pattern: 'returns'}],
+            consequence: {renderingContent: {redirect: {url: '/returns'}}}
+        },
+        {
+            objectID: 'banner-dresses',
+            conditions: [{anchoring: 'contains', pattern: 'dress'}],
+            consequence: {userData: {banner: 'dresses'}}
+        },
+        {
+            objectID: 'disabled',
+            conditions: [{anchoring: 'is', pattern: 'coat'}],
+            consequence: {userData: {banner: 'coats'}},
+            enabled: false
+        },
+        {
+            objectID: 'quick-access',
+            conditions: [{anchoring: 'is', pattern: '', context: 'quickAccess'}],
+            consequence: {userData: {items: []}}
+        }
+    ]
+}
+
+const getObjectIDs = (params) => search(index, params).hits.map(({objectID}) => objectID)
+
+describe('filters', () => {
+    test.each([
+        ['', ['1', '2', '3', '4']],
+        ['color:Red', ['1', '3']],
+        ['color:red', ['1', '3']],
+        ['size:M', ['1', '2']],
+        ['size:"One size"', ['3']],
+        ['brand:-Minus', ['4']],
+        ['price.USD:10 TO 20', ['1', '3']],
+        ['price.USD:-10 TO 15.5', ['3']],
+        ['price.USD > 100', ['2']],
+        ['price.USD>=20', ['1', '2', '4']],
+        ['price.USD <20', ['3']],
+        ['price.USD != 20', ['2', '3', '4']],
+        ['price.USD=45', ['4']],
+        ['color:Red OR color:Blue', ['1', '2', '3']],
+        ['color:Red AND brand:Acme', ['1']],
+        ['color:Red OR color:Green AND size:S', ['1', '3', '4']],
+        ['(color:Red OR color:Green) AND NOT brand:Other', ['1', '4']],
+        ['NOT color:Red', ['2', '4']],
+        ['NOT (color:Red OR price.USD > 100)', ['4']]
+    ])('filters "%s"', (filters, objectIDs) => {
+        expect(getObjectIDs({filters})).toEqual(objectIDs)
+    })
+
+    test.each([
+        ['a facet filter', ['color:Red'], ['1', '3']],
+        ['facet filters combined with AND', ['color:Red', 'brand:Acme'], ['1']],
+        ['an OR group', [['color:Red', 'color:Blue'], 'size:M'], ['1', '2']],
+        ['an excluded value', ['color:-Red'], ['2', '4']],
+        ['excluded values', ['color:-Red', 'color:-Blue'], ['4']],
+        ['an escaped value starting with a minus', ['brand:\\-Minus'], ['4']],
+        ['an excluded value starting with a minus', ['brand:-\\-Minus'], ['1', '2', '3']],
+        ['a single string', 'brand:Other', ['3']]
+    ])('applies %s of the facet filters', (_, facetFilters, objectIDs) => {
+        expect(getObjectIDs({facetFilters})).toEqual(objectIDs)
+    })
+
+    test.each([
+        ['numeric filters combined with AND', ['price.USD>=20', 'price.USD<=100'], ['1', '4']],
+        ['an OR group', [['price.USD<16', 'price.USD>100']], ['2', '3']],
+        ['a range', ['price.USD:40 TO 200'], ['2', '4']]
+    ])('applies %s of the numeric filters', (_, numericFilters, objectIDs) => {
+        expect(getObjectIDs({numericFilters})).toEqual(objectIDs)
+    })
+
+    test('ranks the records matching the optional filters first', () => {
+        expect(getObjectIDs({optionalFilters: ['color:Red']})).toEqual(['1', '3', '2', '4'])
+    })
+
+    test.each([
+        'color',
+        'color:',
+        ':Red',
+        'price.USD > cheap',
+        'price.USD:10 TO',
+        'price.USD:10 TO twenty',
+        'color:Red AND',
+        'color:Red size:M',
+        'color:Red OR (size:M',
+        ') color:Red',
+        'AND color:Red',
+        'NOT'
+    ])('throws on the filters "%s"', (filters) => {
+        expect(() => parseFilters(filters)).toThrow('The Algolia mock cannot parse the filter')
+    })
+
+    test.each([[['color']], [['color:-']], [[['size:M', 'price.USD']]]])(
+        'throws on the facet filters %j',
+        (facetFilters) => {
+            expect(() => search(index, {facetFilters})).toThrow(
+                'The Algolia mock cannot parse the filter'
+            )
+        }
+    )
+})
+
+describe('search', () => {
+    test('matches the prefixes of the words of the query in the searchable attributes', () => {
+        expect(getObjectIDs({query: 'red dre'})).toEqual(['1'])
+        expect(getObjectIDs({query: 'acme'})).toEqual(['1', '2'])
+        expect(getObjectIDs({query: 'beach'})).toEqual(['1'])
+        expect(getObjectIDs({query: 'navy'})).toEqual([])
+    })
+
+    test('reads the search parameters of a query string', () => {
+        const response = search(index, 'query=red&hitsPerPage=1&facetFilters=%5B%22size%3AS%22%5D')
+        expect(response.hits.map(({objectID}) => objectID)).toEqual(['1'])
+        expect(response.hitsPerPage).toBe(1)
+    })
+
+    test('counts the facet values of the matching records', () => {
+        const {facets} = search(index, {facets: ['color', 'size'], filters: 'NOT brand:Other'})
+        expect(facets).toEqual({
+            color: {Red: 1, Blue: 1, Green: 1},
+            size: {S: 2, M: 2, L: 1}
+        })
+    })
+
+    test('counts the values of every facet for `*`, except the filter-only ones', () => {
+        const {facets} = search(index, {facets: ['*']})
+        expect(Object.keys(facets)).toEqual(['brand', 'color', 'size', 'price.USD'])
+        expect(facets.brand).toEqual({Acme: 2, '-Minus': 1, Other: 1})
+    })
+
+    test('limits the values per facet', () => {
+        const {facets} = search(index, {facets: ['size'], maxValuesPerFacet: 2})
+        expect(facets.size).toEqual({M: 2, S: 2})
+    })
+
+    test('returns the stats of the numeric facets', () => {
+        const response = search(index, {facets: ['price.USD', 'color'], filters: 'NOT color:Blue'})
+        expect(response.facets_stats).toEqual({
+            'price.USD': {min: 15.5, max: 45, avg: 80.5 / 3, sum: 80.5}
+        })
+    })
+
+    test('has no facets without the facets parameter', () => {
+        const response = search(index, {})
+        expect(response.facets).toBeUndefined()
+        expect(response.facets_stats).toBeUndefined()
+    })
+
+    test.each([
+        [{}, ['1', '2', '3', '4'], {page: 0, nbPages: 1, hitsPerPage: 20}],
+        [{hitsPerPage: 3}, ['1', '2', '3'], {page: 0, nbPages: 2, hitsPerPage: 3}],
+        [{hitsPerPage: 3, page: 1}, ['4'], {page: 1, nbPages: 2, hitsPerPage: 3}],
+        [{hitsPerPage: 3, page: 2}, [], {page: 2, nbPages: 2, hitsPerPage: 3}],
+        [{offset: 1, length: 2}, ['2', '3'], {}]
+    ])('paginates the hits with %j', (params, objectIDs, pagination) => {
+        const response = search(index, params)
+        expect(response.hits.map(({objectID}) => objectID)).toEqual(objectIDs)
+        expect(response).toMatchObject({nbHits: 4, ...pagination})
+    })
+
+    test('highlights the prefixes of the words of the query', () => {
+        const [hit] = search(index, {query: 'dre acm'}).hits
+        expect(hit._highlightResult).toEqual({
+            name: {
+                value: 'Red summer <em>dre</em>ss',
+                matchLevel: 'partial',
+                matchedWords: ['dre'],
+                fullyHighlighted: false
+            },
+            brand: {
+                value: '<em>Acm</em>e',
+                matchLevel: 'partial',
+                matchedWords: ['acm'],
+                fullyHighlighted: false
+            }
+        })
+    })
+
+    test('highlights the attributes of the search parameters with their tags', () => {
+        const [hit] = search(index, {
+            query: 'green',
+            attributesToHighlight: ['color'],
+            highlightPreTag: '<mark>',
+            highlightPostTag: '</mark>'
+        }).hits
+        expect(hit._highlightResult).toEqual({
+            color: {
+                value: '<mark>Green</mark>',
+                matchLevel: 'full',
+                matchedWords: ['green'],
+                fullyHighlighted: true
+            }
+        })
+    })
+
+    test('snippets the text around the first word of the query', () => {
+        const hits = search(index, {query: 'beach', attributesToSnippet: ['description:5']}).hits
+        expect(hits[0]._snippetResult).toEqual({
+            description: {value: '…city and at the <em>beach</em>.', matchLevel: 'full'}
+        })
+    })
+
+    test('snippets the number of words and with the ellipsis of the search parameters', () => {
+        const hits = search(index, {
+            query: 'red',
+            attributesToSnippet: ['description:4', 'name'],
+            snippetEllipsisText: '...'
+        }).hits
+        expect(hits[0]._snippetResult).toEqual({
+            description: {value: '...<em>red</em> dress for the...', matchLevel: 'full'},
+            name: {value: '<em>Red</em> summer dress', matchLevel: 'full'}
+        })
+        // The records without the attribute have no snippet of it
+        expect(hits[1]._snippetResult).toEqual({
+            name: {value: '<em>Red</em> scarf', matchLevel: 'full'}
+        })
+    })
+
+    test.each([
+        ['lastWords', 'red dress xyz', ['1'], 'red dress <em>xyz</em>'],
+        ['lastWords', 'red xyz abc', ['1', '3'], 'red <em>xyz</em> <em>abc</em>'],
+        ['firstWords', 'xyz red scarf', ['3'], '<em>xyz</em> red scarf']
+    ])('removes the %s of "%s" until it has results', (removal, query, objectIDs, queryAfter) => {
+        const response = search(index, {query, removeWordsIfNoResults: removal})
+        expect(response.hits.map(({objectID}) => objectID)).toEqual(objectIDs)
+        expect(response.queryAfterRemoval).toBe(queryAfter)
+        expect(response.query).toBe(query)
+    })
+
+    test.each([
+        ['none', 'red dress xyz'],
+        ['lastWords', 'xyz'],
+        ['lastWords', 'abc xyz'],
+        [undefined, 'red dress xyz']
+    ])('keeps the words of the query with %s removal for "%s"', (removal, query) => {
+        const response = search(index, {query, removeWordsIfNoResults: removal})
+        expect(response.nbHits).toBe(0)
+        expect(response.queryAfterRemoval).toBeUndefined()
+    })
+
+    test('answers the redirect of the rules in the rendering content', () => {
+        expect(search(index, {query: 'Returns'}).renderingContent).toEqual({
+            redirect: {url: '/returns'}
+        })
+        expect(search(index, {query: 'returns policy'}).renderingContent).toBeUndefined()
+    })
+
+    test('answers the user data of the rules applied to the query', () => {
+        expect(search(index, {query: 'red dress'}).userData).toEqual([{banner: 'dresses'}])
+        expect(search(index, {query: 'coat'}).userData).toBeUndefined()
+        expect(search(index, {query: '', ruleContexts: ['quickAccess']}).userData).toEqual([
+            {items: []}
+        ])
+        expect(search(index, {query: ''}).userData).toBeUndefined()
+    })
+
+    test('sorts the records by the ranking of a replica', () => {
+        const replica = {...index, ranking: 'desc(price.USD)'}
+        expect(search(replica, {}).hits.map(({objectID}) => objectID)).toEqual(['2', '4', '1', '3'])
+    })
+})
+
+describe('searchForFacetValues', () => {
+    test('returns the facet values matching the facet query, with their count', () => {
+        expect(searchForFacetValues(index, 'brand', {facetQuery: 'ac'}).facetHits).toEqual([
+            {value: 'Acme', highlighted: '<em>Ac</em>me', count: 2}
+        ])
+    })
+
+    test('counts the values among the records matching the search', () => {
+        const response = searchForFacetValues(index, 'size', {
+            facetQuery: '',
+            facetFilters: ['color:Red'],
+            maxFacetHits: 2
+        })
+        expect(response.facetHits.map(({value, count}) => [value, count])).toEqual([
+            ['M', 1],
+            ['One size', 1]
+        ])
+    })
+})
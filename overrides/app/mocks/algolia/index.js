@@ -0,0 +1,106 @@
+/*
+ * Drop-in replacements of the Algolia search and recommend clients, answering from the local
+ * fixtures of ./fixtures. They let the storefront run offline and without Algolia credentials.
+ * They are used instead of the real clients when `mock.enabled` is set in
+ * `config/algolia-config.json`.
+ *
+ * The engine and the fixtures are only loaded on the first request, so that they are not part
+ * of the bundle when the mock is disabled.
+ */
+
+const MOCK_APP_ID = 'mock-app-id'
+const MOCK_API_KEY = 'mock-api-key'
+
+const loadMock = () =>
+    Promise.all([
+        import(/* webpackChunkName: "algolia-mock" */ './engine'),
+        import(/* webpackChunkName: "algolia-mock" */ './indices'),
+        import(/* webpackChunkName: "algolia-mock" */ './recommend')
+    ]).then(([engine, indices, recommend]) => ({...engine, ...indices, ...recommend}))
+
+// Autocomplete reads the credentials from the transporter of the client
+const transporter = {
+    headers: {
+        'x-algolia-application-id': MOCK_APP_ID,
+        'x-algolia-api-key': MOCK_API_KEY
+    },
+    queryParameters: {},
+    // InstantSearch hydrates the cache of the client with the results rendered on the server.
+    // The mock answers instantly, so it caches nothing.
+    responsesCache: {
+        get: (key, defaultValue) => defaultValue(),
+        set: (key, value) => Promise.resolve(value),
+        delete: () => Promise.resolve(),
+        clear: () => Promise.resolve()
+    }
+}
+
+const createMockClient = (methods) => ({
+    appId: MOCK_APP_ID,
+    transporter,
+    addAlgoliaAgent() {
+        // The mock sends no requests, so it has no user agent
+    },
+    clearCache() {
+        return Promise.resolve()
+    },
+    ...methods
+})
+
+/**
+ * Creates a mock of the `algoliasearch/lite` client.
+ *
+ * @returns {Object} The mock client, with the `search` and `searchForFacetValues` methods.
+ */
+export const createMockSearchClient = () =>
+    createMockClient({
+        async search(queries) {
+            const {getMockIndex, parseParams, search, searchForFacetValues} = await loadMock()
+            const results = queries.map(({indexName, query, params, type, facet}) => {
+                const searchParams = {
+                    ...parseParams(params),
+                    ...(query !== undefined && {query})
+                }
+                return type === 'facet'
+                    ? searchForFacetValues(getMockIndex(indexName), facet, searchParams)
+                    : search(getMockIndex(indexName), searchParams)
+            })
+
+            return {results}
+        },
+        async searchForFacetValues(queries) {
+            const {getMockIndex, searchForFacetValues} = await loadMock()
+
+            return queries.map(({indexName, params: {facetName, ...params}}) =>
+                searchForFacetValues(getMockIndex(indexName), facetName, params)
+            )
+        }
+    })
+
+/**
+ * Creates a mock of the `@algolia/recommend` client.
+ *
+ * @returns {Object} The mock client, with `getRecommendations` and a method per model.
+ */
+export const createMockRecommendClient = () => {
+    const getRecommendations = async (queries) => {
+        const {getMockIndex, recommend, recommendations} = await loadMock()
+        const results = queries.map((query) =>
+            recommend(getMockIndex(query.indexName), recommendations, query)
+        )
+
+        return {results}
+    }
+    const withModel = (model) => (queries) =>
+        getRecommendations(queries.map((query) => ({...query, model})))
+
+    return createMockClient({
+        getRecommendations,
+        getFrequentlyBoughtTogether: withModel('bought-together'),
+        getRelatedProducts: withModel('related-products'),
+        getLookingSimilar: withModel('looking-similar'),
+        getTrendingItems: withModel('trending-items'),
+        getTrendingFacets: withModel('trending-facets'),
+        getRecommendedForYou: withModel('recommended-for-you')
+    })
+}
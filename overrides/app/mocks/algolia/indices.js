@@ -0,0 +1,73 @@
+/*
+ * The fixtures of the mock Algolia indices, keyed by the index names of the configuration.
+ */
+
+import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
+import {resolveAlgoliaIndices} from '../../utils/algolia-utils'
+import products from './fixtures/products.json'
+import querySuggestions from './fixtures/query-suggestions.json'
+import contents from './fixtures/contents.json'
+import categories from './fixtures/categories.json'
+import recommendations from './fixtures/recommendations.json'
+
+export {recommendations}
+
+/**
+ * Returns the ranking of a replica from the `replicas` of the products fixture, which are keyed
+ * by the suffix of the replica index names, e.g. `{"_price_asc": "asc(price.USD)"}`.
+ */
+const getReplicaRanking = (indexName) =>
+    Object.entries(products.replicas || {}).find(([suffix]) => indexName.endsWith(suffix))?.[1]
+
+/**
+ * Maps the index names of every site and locale to their fixture, so that the mock answers
+ * whatever the active site and locale are.
+ */
+const createMockIndices = () => {
+    const {algolia: algoliaConfig, sites} = getConfig().app
+    const mockIndices = {}
+    const add = (name, fixture, ranking) => {
+        if (name && !mockIndices[name]) {
+            mockIndices[name] = {...fixture, name, ranking}
+        }
+    }
+
+    sites.forEach((site) =>
+        site.l10n.supportedLocales.forEach((locale) => {
+            const indices = resolveAlgoliaIndices(algoliaConfig, {
+                siteId: site.id,
+                localeId: locale.id
+            })
+            add(indices.primary.value, products)
+            indices.replicas.forEach(({value}) => add(value, products, getReplicaRanking(value)))
+            add(indices.querySuggestions, querySuggestions)
+            add(indices.contents, contents)
+            add(indices.faq, contents)
+            add(indices.categories, categories)
+        })
+    )
+
+    return mockIndices
+}
+
+let mockIndices = null
+const warnedIndexNames = new Set()
+
+/**
+ * Returns the fixture of an index.
+ *
+ * @param {string} indexName - The index name.
+ * @returns {Object} The fixture: `{name, settings, records, rules, ranking}`. An index that is not
+ * part of the configuration has no records.
+ */
+export const getMockIndex = (indexName) => {
+    mockIndices = mockIndices || createMockIndices()
+    if (!mockIndices[indexName]) {
+        if (!warnedIndexNames.has(indexName)) {
+            warnedIndexNames.add(indexName)
+            console.warn(`The Algolia mock has no fixture for index "${indexName}".`)
+        }
+        return {name: indexName, records: []}
+    }
+    return mockIndices[indexName]
+}
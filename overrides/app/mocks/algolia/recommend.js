@@ -0,0 +1,70 @@
+/*
+ * Answers the Algolia Recommend models from the recommendations fixture.
+ */
+
+import {filterRecords, getFacetValues, getValues, parseParams} from './engine'
+
+// The recommendations of the fixture are listed by decreasing relevance, their score decreases
+// from 100 the same way.
+const getScore = (position) => Math.max(1, 100 - position * 5)
+
+const getTrendingFacetHits = (index, recommendations, {facetName, queryParameters}) => {
+    const facetValues =
+        recommendations['trending-facets']?.[facetName] ||
+        getFacetValues(index, facetName, queryParameters).map(([facetValue]) => facetValue)
+
+    return facetValues.map((facetValue, position) => ({
+        facetName,
+        facetValue,
+        _score: getScore(position)
+    }))
+}
+
+const getItemHits = (index, recommendations, query) => {
+    const {model, objectID, facetName, facetValue, queryParameters, fallbackParameters} = query
+    const {records} = filterRecords(index, parseParams(queryParameters))
+    const objectIDs =
+        (model === 'trending-items'
+            ? recommendations['trending-items']
+            : recommendations[model]?.[objectID]) || []
+
+    let items = objectIDs
+        .map((id) => records.find((record) => record.objectID === id))
+        .filter(Boolean)
+        .filter(
+            (record) =>
+                !facetName || !facetValue || getValues(record, facetName).includes(facetValue)
+        )
+    // Algolia Recommend completes the recommendations with the hits of a search
+    // with the fallback parameters.
+    if (fallbackParameters) {
+        const fallbackItems = filterRecords(index, parseParams(fallbackParameters)).records
+        items = [...items, ...fallbackItems.filter((record) => !items.includes(record))]
+    }
+
+    return items
+        .filter((record) => record.objectID !== objectID)
+        .map((record, position) => ({...record, _score: getScore(position)}))
+}
+
+/**
+ * Answers a recommendation query the way the Algolia Recommend API does.
+ *
+ * @param {Object} index - The fixture of the index.
+ * @param {Object} recommendations - The recommendations fixture, keyed by model.
+ * @param {Object} query - The recommendation query: `{model, objectID, facetName, facetValue,
+ * maxRecommendations, threshold, queryParameters, fallbackParameters}`.
+ * @returns {Object} The recommendations response.
+ */
+export const recommend = (index, recommendations, query) => {
+    const {model, maxRecommendations, threshold = 0} = query
+    const hits = (
+        model === 'trending-facets'
+            ? getTrendingFacetHits(index, recommendations, query)
+            : getItemHits(index, recommendations, query)
+    )
+        .filter((hit) => hit._score >= threshold)
+        .slice(0, maxRecommendations)
+
+    return {hits, nbHits: hits.length, processingTimeMS: 1}
+}
@@ -5,21 +5,20 @@
  * For full license text, see the LICENSE file in the repo root or https://opensource.org/licenses/BSD-3-Clause
  */
 
-import React, {useState, useMemo} from 'react'
+import React, {useMemo} from 'react'
 import PropTypes from 'prop-types'
 import {useHistory, useLocation, useParams} from 'react-router-dom'
 import {FormattedMessage, useIntl} from 'react-intl'
 import {Helmet} from 'react-helmet'
 import {useCategory} from '@salesforce/commerce-sdk-react'
 import {useServerContext} from '@salesforce/pwa-kit-react-sdk/ssr/universal/hooks'
-import {searchClient} from '../../components/algolia/autocomplete/searchClient'
+import {getAppOrigin} from '@salesforce/pwa-kit-react-sdk/utils/url'
+import {getInsightsOptions} from '../../components/algolia/autocomplete/insights'
 
 // Components
 import {
-    Accordion,
     Box,
     Flex,
-    SimpleGrid,
     Grid,
     Select,
     Text,
@@ -40,37 +39,46 @@ import {
 import {HideOnDesktop} from '@salesforce/retail-react-app/app/components/responsive'
 import EmptySearchResults from './partials/empty-results'
 import PageHeader from './partials/page-header'
+import PageMeta from './partials/page-meta'
 
 // Icons
 import {FilterIcon} from '@salesforce/retail-react-app/app/components/icons'
 
-// Hooks
-import {useSearchParams} from '@salesforce/retail-react-app/app/hooks'
-
 // Others
-import {HTTPNotFound, HTTPError} from '@salesforce/pwa-kit-react-sdk/ssr/universal/errors'
+import {HTTPNotFound} from '@salesforce/pwa-kit-react-sdk/ssr/universal/errors'
 
 // Constants
 import {MAX_CACHE_AGE} from '@salesforce/retail-react-app/app/constants'
-import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
-import {useCurrency} from '@salesforce/retail-react-app/app/hooks'
 
 // Algolia
-import {Configure, InstantSearch, Index, Pagination} from 'react-instantsearch'
+import {Configure} from 'react-instantsearch'
 import AlgoliaCurrentRefinements from './partials/algolia-current-refinements'
-import AlgoliaHierarchicalRefinements from './partials/algolia-hierarchical-refinements'
-import AlgoliaColorRefinements from './partials/algolia-color-refinements'
+import AlgoliaInstantSearch from './partials/algolia-instantsearch'
 import AlgoliaNoResultsBoundary from './partials/algolia-no-results-boundary'
-import AlgoliaCheckboxRefinements from './partials/algolia-checkbox-refinements'
-import AlgoliaRangeRefinements from './partials/algolia-range-refinements'
+import AlgoliaRefinements from './partials/algolia-refinements'
+import AlgoliaRuleRedirect from './partials/algolia-rule-redirect'
 import AlgoliaSortBy from './partials/algolia-sort-by'
 import AlgoliaClearRefinements from './partials/algolia-clear-refinements'
+import AlgoliaApplyRefinements from './partials/algolia-apply-refinements'
 import AlgoliaUiStateProvider from './partials/algolia-uistate-provider'
 import SearchTabHeader from './partials/search-tab-header'
 import {Tabs, TabPanels, TabPanel} from '@chakra-ui/react'
+import AlgoliaContentIndex from './partials/algolia-content-index'
 import AlgoliaHitsContent from './partials/algolia-hits-content'
-import AlgoliaHitsProducts from './partials/algolia-hits-products'
+import AlgoliaHitsPerPage from './partials/algolia-hits-per-page'
+import ListingViewToggle from './partials/listing-view-toggle'
+import AlgoliaProductListing from './partials/algolia-product-listing'
 import {useWishlistOperations} from '../../hooks/use-wishlist-operations'
+import {useAlgolia} from '../../hooks/use-algolia'
+import {useListingView} from '../../hooks/use-listing-view'
+import {SEARCH_TABS, useSearchTab} from '../../hooks/use-search-tab'
+import {
+    getContentFilters,
+    resolveAlgoliaFacets,
+    resolveHitsPerPage,
+    resolveRemoveWordsIfNoResults
+} from '../../utils/algolia-utils'
+import {getSeoDirectives} from '../../utils/algolia-routing'
 import '../../components/algolia/style.css'
 
 /*
@@ -79,70 +87,53 @@ import '../../components/algolia/style.css'
  * allowable filters and sort refinements.
  */
 const ProductList = (props) => {
-    // Using destructuring to omit properties; we must rename `isLoading` because we use a different
-    // `isLoading` later in this function.
+    // Using destructuring to omit properties from the props spread on the page
     // eslint-disable-next-line react/prop-types, @typescript-eslint/no-unused-vars
     const {isLoading: _unusedIsLoading, staticContext, ...rest} = props
     const {isOpen, onOpen, onClose} = useDisclosure()
-    const {formatMessage} = useIntl()
     const params = useParams()
     const location = useLocation()
     const {res} = useServerContext()
-    const [searchParams] = useSearchParams()
-    const {currency: activeCurrency} = useCurrency()
-
-    let {app: algoliaConfig} = useMemo(() => getConfig(), [])
-    algoliaConfig = {
-        ...algoliaConfig.algolia
-    }
+    const {
+        config: algoliaConfig,
+        indices,
+        searchClient,
+        currency: activeCurrency,
+        userToken
+    } = useAlgolia()
 
     const {addItemToWishlist, removeItemFromWishlist, isInWishlist} = useWishlistOperations()
 
     // Algolia Settings
-    const allIndices = [algoliaConfig.indices.primary, ...algoliaConfig.indices.replicas]
-    const productIndexName = algoliaConfig.indices.primary.value
-    const contentIndexName = algoliaConfig.indices.contents
-
-    // Algolia Refinements - You can adjust these to match your Algolia index.
-    const hierarchicalCategoryAttributes = [
-        `__primary_category.0`,
-        `__primary_category.1`,
-        `__primary_category.2`
-    ]
-
-    const filterEls = (
-        <>
-            <Accordion allowMultiple>
-                <AlgoliaHierarchicalRefinements
-                    attributes={hierarchicalCategoryAttributes}
-                    title="Category"
-                />
-                <AlgoliaColorRefinements attribute="color" title="Color" />
-                <AlgoliaCheckboxRefinements attribute="size" title="Size" />
-                <AlgoliaRangeRefinements attribute="price.USD" title="Price ($)" />
-                <AlgoliaCheckboxRefinements
-                    attribute="brand"
-                    title="Brand"
-                    sortBy={['count:desc']}
-                />
-            </Accordion>
-        </>
+    const allIndices = [indices.primary, ...indices.replicas]
+    const productIndexName = indices.primary.value
+    // The articles and the FAQ can share a content index, see `getContentFilters`
+    const contentFilters = getContentFilters(indices)
+
+    // Algolia Refinements - The facets are configured in `facets` of algolia-config.json,
+    // see `resolveAlgoliaFacets`.
+    const facets = useMemo(
+        () =>
+            resolveAlgoliaFacets(algoliaConfig, {
+                categoryId: params.categoryId,
+                currency: activeCurrency
+            }),
+        [algoliaConfig, params.categoryId, activeCurrency]
     )
+    const filterEls = <AlgoliaRefinements facets={facets} />
+    const hitsPerPage = resolveHitsPerPage(algoliaConfig)
+    const [view, setView] = useListingView()
+    const [tab, setTab] = useSearchTab()
 
     /**************** Page State ****************/
-    const [contentHitsCount, setContentHitsCount] = useState(false)
-
     const urlParams = new URLSearchParams(location.search)
     let searchQuery = urlParams.get('q')
     const isSearch = !!searchQuery
 
-    if (params.categoryId) {
-        searchParams._refine.push(`cgid=${params.categoryId}`)
-    }
-
     /**************** Query Actions ****************/
-    const {isLoading} = useState(true)
-
+    // The category of the Shopper Products API only completes the category found in the Algolia
+    // results, e.g. with its page title and description, see `useAlgoliaCategory`. The page is
+    // rendered without it while it loads or if it fails.
     const {error, data: category} = useCategory(
         {
             parameters: {
@@ -163,26 +154,23 @@ const ProductList = (props) => {
         case 404:
             throw new HTTPNotFound('Category Not Found.')
         default:
-            throw new HTTPError(`HTTP Error ${errorStatus} occurred.`)
+            // The page is rendered from the Algolia results only
+            break
     }
 
     /**************** Response Handling ****************/
     if (res) {
         res.set('Cache-Control', `max-age=${MAX_CACHE_AGE}`)
     }
-    const refinementButton = React.useRef()
+    // The pages with deep refinements are not indexed, see `getSeoDirectives`
+    const {isIndexable, canonicalUrl} = getSeoDirectives(location, facets, getAppOrigin())
 
-    React.useEffect(() => {
-        if (refinementButton) {
-            if (refinementButton.current) {
-                refinementButton.current.triggerClick()
-            }
-        }
-    }, [location.search])
-
-    // Reset scroll position when `isRefetching` becomes `true`.
     const query = searchQuery ?? ''
-    const filters = !isLoading && category?.id ? `categories.id:${category.id}` : ''
+    // Filtered with the ID of the route rather than of the fetched category, so that the search
+    // state is the same on the server as once the category is fetched
+    const filters = !isSearch && params.categoryId ? `categories.id:${params.categoryId}` : ''
+    // The words of a search without results can be removed until it has some
+    const removeWordsIfNoResults = isSearch ? resolveRemoveWordsIfNoResults(algoliaConfig) : 'none'
 
     return (
         <Box
@@ -193,9 +181,8 @@ const ProductList = (props) => {
             {...rest}
         >
             <Helmet>
-                <title>{category?.pageTitle}</title>
-                <meta name="description" content={category?.pageDescription} />
-                <meta name="keywords" content={category?.pageKeywords} />
+                <link rel="canonical" href={canonicalUrl} />
+                {!isIndexable && <meta name="robots" content="noindex, follow" />}
                 <link
                     rel="stylesheet"
                     href="https://cdn.jsdelivr.net/npm/instantsearch.css@8.0.0/themes/reset-min.css"
@@ -209,30 +196,36 @@ const ProductList = (props) => {
                     href="https://cdn.jsdelivr.net/npm/@algolia/autocomplete-theme-classic"
                 />
             </Helmet>
-            <InstantSearch
+            <AlgoliaInstantSearch
                 searchClient={searchClient}
                 indexName={productIndexName}
-                routing={true}
-                insights={true}
+                facets={facets}
+                hitsPerPage={hitsPerPage}
+                insights={getInsightsOptions({userToken})}
                 future={{
                     preserveSharedStateOnUnmount: true,
                     persistHierarchicalRootCount: true
                 }}
             >
-                <Tabs defaultIndex={urlParams.get('tab') === 'articles' ? 1 : 0}>
-                    {isSearch && (
-                        <SearchTabHeader
-                            isLoading={isLoading}
-                            contentHitsCount={contentHitsCount}
-                        />
-                    )}
+                <PageMeta categoryId={params.categoryId} category={category} />
+                <Tabs
+                    index={isSearch ? SEARCH_TABS.indexOf(tab) : 0}
+                    onChange={(index) => setTab(SEARCH_TABS[index])}
+                >
+                    {isSearch && <SearchTabHeader />}
                     <TabPanels>
                         <TabPanel>
-                            <Configure query={query} filters={filters} />
+                            <Configure
+                                query={query}
+                                filters={filters}
+                                removeWordsIfNoResults={removeWordsIfNoResults}
+                            />
+                            {isSearch && <AlgoliaRuleRedirect staticContext={staticContext} />}
                             <AlgoliaNoResultsBoundary
                                 fallback={
                                     <EmptySearchResults
                                         searchQuery={searchQuery}
+                                        categoryId={params.categoryId}
                                         category={category}
                                     />
                                 }
@@ -249,8 +242,8 @@ const ProductList = (props) => {
                                     >
                                         <Flex align="left" width="290px">
                                             <PageHeader
+                                                categoryId={params.categoryId}
                                                 category={category}
-                                                isLoading={isLoading}
                                                 searchQuery={searchQuery}
                                             />
                                         </Flex>
@@ -260,19 +253,21 @@ const ProductList = (props) => {
                                             alignItems="center"
                                             gap="3"
                                         >
-                                            <AlgoliaCurrentRefinements />
-                                            <AlgoliaClearRefinements ref={refinementButton} />
+                                            <AlgoliaCurrentRefinements facets={facets} />
+                                            <AlgoliaClearRefinements />
                                         </Flex>
-                                        <Box paddingTop={'45px'}>
+                                        <Flex paddingTop={'45px'} alignItems="center" gap="3">
                                             <AlgoliaSortBy items={allIndices} />
-                                        </Box>
+                                            <AlgoliaHitsPerPage values={hitsPerPage} />
+                                            <ListingViewToggle view={view} onChange={setView} />
+                                        </Flex>
                                     </Stack>
 
                                     <HideOnDesktop>
                                         <Stack spacing={6}>
                                             <PageHeader
+                                                categoryId={params.categoryId}
                                                 category={category}
-                                                isLoading={isLoading}
                                                 searchQuery={searchQuery}
                                             />
                                             <Stack
@@ -303,6 +298,12 @@ const ProductList = (props) => {
                                                 <Flex align="center">
                                                     <AlgoliaSortBy items={allIndices} />
                                                 </Flex>
+                                                <Flex align="center" marginLeft="auto">
+                                                    <ListingViewToggle
+                                                        view={view}
+                                                        onChange={setView}
+                                                    />
+                                                </Flex>
                                             </Stack>
                                         </Stack>
                                         <Flex
@@ -311,7 +312,9 @@ const ProductList = (props) => {
                                             marginBottom={4}
                                             alignItems="center"
                                             gap="3"
-                                        ></Flex>
+                                        >
+                                            <AlgoliaCurrentRefinements facets={facets} />
+                                        </Flex>
                                     </HideOnDesktop>
 
                                     {/* Body  */}
@@ -327,38 +330,14 @@ const ProductList = (props) => {
                                             {filterEls}
                                         </Stack>
                                         <Box>
-                                            <SimpleGrid
-                                                columns={[2, 2, 3, 4]}
-                                                spacingX={4}
-                                                spacingY={{base: 12, lg: 8}}
-                                            >
-                                                <AlgoliaHitsProducts
-                                                    isLoading={isLoading}
-                                                    searchQuery={searchQuery}
-                                                    category={category}
-                                                    addItemToWishlist={addItemToWishlist}
-                                                    removeItemFromWishlist={removeItemFromWishlist}
-                                                    isInWishlist={isInWishlist}
-                                                    activeCurrency={activeCurrency}
-                                                />
-                                            </SimpleGrid>
-                                            {/* Footer */}
-                                            <Flex
-                                                justifyContent={['center', 'center', 'flex-center']}
-                                                paddingTop={16}
-                                            >
-                                                <Pagination
-                                                    showNext={false}
-                                                    showPrevious={false}
-                                                    classNames={{
-                                                        root: 'custom-pagination-root',
-                                                        item: 'custom-pagination-item',
-                                                        link: 'custom-pagination-link',
-                                                        selectedItem:
-                                                            'custom-pagination-item-selected'
-                                                    }}
-                                                />
-                                            </Flex>
+                                            <AlgoliaProductListing
+                                                searchQuery={searchQuery}
+                                                addItemToWishlist={addItemToWishlist}
+                                                removeItemFromWishlist={removeItemFromWishlist}
+                                                isInWishlist={isInWishlist}
+                                                activeCurrency={activeCurrency}
+                                                view={view}
+                                            />
                                         </Box>
                                     </Grid>
                                 </>
@@ -371,11 +350,13 @@ const ProductList = (props) => {
                                 motionPreset="slideInBottom"
                                 scrollBehavior="inside"
                             >
+                                {/* Staged refinements, discarded when the modal is closed */}
                                 <AlgoliaUiStateProvider
                                     searchClient={searchClient}
                                     indexName={productIndexName}
                                     filters={filters}
                                     query={query}
+                                    removeWordsIfNoResults={removeWordsIfNoResults}
                                 >
                                     <ModalOverlay />
                                     <ModalContent top={0} marginTop={0}>
@@ -390,6 +371,7 @@ const ProductList = (props) => {
                                         <ModalCloseButton />
                                         <ModalBody py={4}>
                                             <Stack spacing="6" direction="column">
+                                                <AlgoliaCurrentRefinements facets={facets} />
                                                 {filterEls}
                                             </Stack>
                                         </ModalBody>
@@ -403,17 +385,7 @@ const ProductList = (props) => {
                                             paddingBottom={10}
                                         >
                                             <Stack>
-                                                <Button width="full" onClick={onClose}>
-                                                    {formatMessage(
-                                                        {
-                                                            id: 'product_list.modal.button.view_items',
-                                                            defaultMessage: 'View items'
-                                                        },
-                                                        {
-                                                            prroductCount: ''
-                                                        }
-                                                    )}
-                                                </Button>
+                                                <AlgoliaApplyRefinements onApply={onClose} />
                                                 <AlgoliaClearRefinements variant="button" />
                                             </Stack>
                                         </ModalFooter>
@@ -421,17 +393,33 @@ const ProductList = (props) => {
                                 </AlgoliaUiStateProvider>
                             </Modal>
                         </TabPanel>
-                        <TabPanel>
-                            <Index indexName={contentIndexName}>
-                                <AlgoliaHitsContent
-                                    isLoading={isLoading}
-                                    setContentHitsCount={setContentHitsCount}
-                                />
-                            </Index>
-                        </TabPanel>
+                        {isSearch && (
+                            <TabPanel>
+                                <AlgoliaContentIndex
+                                    indexName={indices.contents}
+                                    indexId="articles"
+                                    facets={facets}
+                                    filters={contentFilters.articles}
+                                >
+                                    <AlgoliaHitsContent />
+                                </AlgoliaContentIndex>
+                            </TabPanel>
+                        )}
+                        {isSearch && (
+                            <TabPanel>
+                                <AlgoliaContentIndex
+                                    indexName={indices.faq}
+                                    indexId="faq"
+                                    facets={facets}
+                                    filters={contentFilters.faq}
+                                >
+                                    <AlgoliaHitsContent />
+                                </AlgoliaContentIndex>
+                            </TabPanel>
+                        )}
                     </TabPanels>
                 </Tabs>
-            </InstantSearch>
+            </AlgoliaInstantSearch>
         </Box>
     )
 }
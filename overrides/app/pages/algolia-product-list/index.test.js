@@ -0,0 +1,63 @@
+import React from 'react'
+import {rest} from 'msw'
+import {Route, Switch} from 'react-router-dom'
+import {screen} from '@testing-library/react'
+import {mockedEmptyCustomerProductList} from '@salesforce/retail-react-app/app/mocks/mock-data'
+import {
+    createPathWithDefaults,
+    renderWithProviders
+} from '@salesforce/retail-react-app/app/utils/test-utils'
+import {AlgoliaProvider} from '../../contexts'
+import ProductList from '.'
+
+jest.setTimeout(60000)
+
+const MockedComponent = () => (
+    <AlgoliaProvider>
+        <Switch>
+            <Route
+                path={[
+                    createPathWithDefaults('/category/:categoryId'),
+                    createPathWithDefaults('/search')
+                ]}
+                render={(props) => <ProductList {...props} />}
+            />
+        </Switch>
+    </AlgoliaProvider>
+)
+
+beforeEach(() => {
+    global.server.use(
+        rest.get('*/customers/:customerId/product-lists', (req, res, ctx) =>
+            res(ctx.delay(0), ctx.status(200), ctx.json(mockedEmptyCustomerProductList))
+        )
+    )
+})
+
+afterEach(() => {
+    localStorage.clear()
+})
+
+test('renders the products and the facets of a category from the Algolia mock', async () => {
+    window.history.pushState({}, 'ProductList', '/uk/en-GB/category/womens-clothing-dresses')
+    renderWithProviders(<MockedComponent />)
+
+    expect(await screen.findByTestId('sf-product-list-page')).toBeInTheDocument()
+    expect(await screen.findByText('Sleeveless Floral Print Dress')).toBeInTheDocument()
+    expect(screen.getByText('Cap Sleeve Wrap Dress')).toBeInTheDocument()
+    expect(screen.queryByText('Gold Hoop Earrings')).not.toBeInTheDocument()
+    // The facet values of the products of the category
+    expect(screen.getAllByText(/Paris Collection \(1\)/).length).toBeGreaterThan(0)
+    expect(screen.getAllByText(/Multicolor \(1\)/).length).toBeGreaterThan(0)
+    expect(screen.queryByText(/Gold \(1\)/)).not.toBeInTheDocument()
+})
+
+test('renders the products and the banner of the rules of a search from the Algolia mock', async () => {
+    window.history.pushState({}, 'ProductList', '/uk/en-GB/search?q=dress')
+    renderWithProviders(<MockedComponent />)
+
+    expect(await screen.findByText('The summer dress edit')).toBeInTheDocument()
+    expect(screen.getByText('Sleeveless Floral Print Dress')).toBeInTheDocument()
+    expect(screen.getAllByText('No-Iron Textured Dress Shirt')).toHaveLength(2)
+    expect(screen.queryByText('Straight Leg Chino Pant')).not.toBeInTheDocument()
+})
@@ -0,0 +1,43 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {useIntl} from 'react-intl'
+import {Button} from '@chakra-ui/react'
+import {useInstantSearch} from 'react-instantsearch'
+import {useApplyUiState} from './algolia-uistate-provider'
+
+/**
+ * Renders the button applying the refinements staged in `AlgoliaUiStateProvider` to the search of
+ * the page, with the number of products they match.
+ */
+const AlgoliaApplyRefinements = ({onApply}) => {
+    const intl = useIntl()
+    const {uiState, results, status} = useInstantSearch()
+    const applyUiState = useApplyUiState()
+    const isSearching = status === 'loading' || status === 'stalled'
+
+    return (
+        <Button
+            width="full"
+            isLoading={isSearching}
+            onClick={() => {
+                applyUiState(uiState)
+                onApply?.()
+            }}
+        >
+            {intl.formatMessage(
+                {
+                    id: 'algolia_product_list.modal.button.view_items',
+                    defaultMessage:
+                        '{productCount, plural, =0 {No items} one {View # item} other {View # items}}'
+                },
+                {productCount: results?.nbHits ?? 0}
+            )}
+        </Button>
+    )
+}
+
+AlgoliaApplyRefinements.propTypes = {
+    onApply: PropTypes.func
+}
+
+export default AlgoliaApplyRefinements
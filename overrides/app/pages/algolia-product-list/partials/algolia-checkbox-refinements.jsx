@@ -1,78 +1,51 @@
 import React from 'react'
-import {
-    VStack,
-    Checkbox,
-    Center,
-    useMultiStyleConfig,
-    AccordionItem,
-    AccordionButton,
-    AccordionPanel,
-    AccordionIcon,
-    Box
-} from '@chakra-ui/react'
-import {useRefinementList} from 'react-instantsearch'
-import AlgoliaRefinementsContainer from './algolia-refinements-container'
+import {VStack, Checkbox, Center, useMultiStyleConfig} from '@chakra-ui/react'
+import AlgoliaRefinementList, {RefinementLabel} from './algolia-refinement-list'
 import PropTypes from 'prop-types'
 
+const CheckboxList = (props) => <VStack spacing={1} mt={1} align="start" {...props} />
+
 const AlgoliaCheckboxRefinements = (props) => {
     const styles = useMultiStyleConfig('SwatchGroup', {
         variant: 'square',
         disabled: false
     })
 
-    const {items, refine} = useRefinementList(props)
-
     return (
-        <>
-            {items.length > 0 && (
-                <AccordionItem>
-                    <h2>
-                        <AccordionButton>
-                            <Box as="span" flex="1" textAlign="left">
-                                {props.title}
-                            </Box>
-                            <AccordionIcon />
-                        </AccordionButton>
-                    </h2>
-                    <AccordionPanel pb={4}>
-                        <AlgoliaRefinementsContainer attributes={[props.attribute]}>
-                            <VStack spacing={1} mt={1} align="start">
-                                {items.map((item, idx) => {
-                                    return (
-                                        <Checkbox
-                                            key={idx}
-                                            isChecked={item.isRefined}
-                                            onChange={() => refine(item.value)}
-                                            aria-checked={item.isRefined}
-                                            variant="outline"
-                                            fontSize="sm"
-                                            p="1"
-                                            _hover={{
-                                                borderColor: 'gray.200'
-                                            }}
-                                        >
-                                            <Center isTruncated {...styles.swatchButton}>
-                                                {item.label}{' '}
-                                                {item.count > 0 && props.sortBy
-                                                    ? `(${item.count})`
-                                                    : ''}
-                                            </Center>
-                                        </Checkbox>
-                                    )
-                                })}
-                            </VStack>
-                        </AlgoliaRefinementsContainer>
-                    </AccordionPanel>
-                </AccordionItem>
+        <AlgoliaRefinementList
+            {...props}
+            listComponent={CheckboxList}
+            renderItem={({item, refine}) => (
+                <Checkbox
+                    key={item.value}
+                    isChecked={item.isRefined}
+                    onChange={() => refine(item.value)}
+                    aria-checked={item.isRefined}
+                    variant="outline"
+                    fontSize="sm"
+                    p="1"
+                    _hover={{
+                        borderColor: 'gray.200'
+                    }}
+                >
+                    <Center isTruncated {...styles.swatchButton}>
+                        <RefinementLabel item={item} />{' '}
+                        {item.count > 0 && props.sortBy ? `(${item.count})` : ''}
+                    </Center>
+                </Checkbox>
             )}
-        </>
+        />
     )
 }
 
 AlgoliaCheckboxRefinements.propTypes = {
     attribute: PropTypes.string,
     title: PropTypes.string,
-    sortBy: PropTypes.arrayOf(PropTypes.string)
+    sortBy: PropTypes.arrayOf(PropTypes.string),
+    limit: PropTypes.number,
+    showMoreLimit: PropTypes.number,
+    searchable: PropTypes.bool,
+    operator: PropTypes.oneOf(['and', 'or'])
 }
 
 export default AlgoliaCheckboxRefinements
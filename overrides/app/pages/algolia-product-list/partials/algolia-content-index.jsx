@@ -0,0 +1,97 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {Configure, Index, useConnector} from 'react-instantsearch'
+
+// The number of results per page of a content tab
+export const CONTENT_HITS_PER_PAGE = 10
+
+// The snippet of the text of the content results, of 30 words around the matched words: the
+// `body` of the records, or their `description` when they have no body
+const ATTRIBUTES_TO_SNIPPET = ['body:30', 'description:30']
+
+const getFacetAttribute = (facet) => facet.attribute || facet.attributes[0]
+
+/**
+ * Creates a widget that removes the refinements of the product facets from the search of its
+ * index, where they are inherited from the primary index: a refined color does not filter the
+ * articles.
+ */
+const connectProductRefinementsReset =
+    (renderFn, unmountFn = () => {}) =>
+    (widgetParams) => ({
+        $$type: 'algolia.productRefinementsReset',
+        init({instantSearchInstance}) {
+            renderFn({instantSearchInstance, widgetParams}, true)
+        },
+        render({instantSearchInstance}) {
+            renderFn({instantSearchInstance, widgetParams}, false)
+        },
+        dispose() {
+            unmountFn()
+        },
+        getWidgetSearchParameters(state) {
+            const attributes = widgetParams.facets.map(getFacetAttribute)
+            const reset = (value) =>
+                Object.fromEntries(attributes.map((attribute) => [attribute, value]))
+
+            return state.setQueryParameters({
+                facetsRefinements: {...state.facetsRefinements, ...reset([])},
+                disjunctiveFacetsRefinements: {...state.disjunctiveFacetsRefinements, ...reset([])},
+                hierarchicalFacetsRefinements: {
+                    ...state.hierarchicalFacetsRefinements,
+                    ...reset([])
+                },
+                numericRefinements: {...state.numericRefinements, ...reset({})}
+            })
+        }
+    })
+
+const ProductRefinementsReset = ({facets}) => {
+    useConnector(connectProductRefinementsReset, {facets})
+    return null
+}
+
+ProductRefinementsReset.propTypes = {
+    facets: PropTypes.arrayOf(PropTypes.object).isRequired
+}
+
+/**
+ * Searches a content index for the query of the page, e.g. the articles of a search tab. The
+ * index has its own ID, so that its page is kept apart from the page of the products, and it is
+ * not filtered by the refinements of the products.
+ */
+const AlgoliaContentIndex = ({
+    indexName,
+    indexId,
+    facets,
+    filters = '',
+    hitsPerPage = CONTENT_HITS_PER_PAGE,
+    children
+}) => (
+    <Index indexName={indexName} indexId={indexId}>
+        <Configure
+            filters={filters}
+            hitsPerPage={hitsPerPage}
+            attributesToSnippet={ATTRIBUTES_TO_SNIPPET}
+        />
+        <ProductRefinementsReset facets={facets} />
+        {children}
+    </Index>
+)
+
+AlgoliaContentIndex.propTypes = {
+    indexName: PropTypes.string.isRequired,
+    /**
+     * The ID of the index in the UI state, see `CONTENT_PAGE_PARAMETERS`.
+     */
+    indexId: PropTypes.string.isRequired,
+    /**
+     * The facets of the page, see `resolveAlgoliaFacets`.
+     */
+    facets: PropTypes.arrayOf(PropTypes.object).isRequired,
+    filters: PropTypes.string,
+    hitsPerPage: PropTypes.number,
+    children: PropTypes.node
+}
+
+export default AlgoliaContentIndex
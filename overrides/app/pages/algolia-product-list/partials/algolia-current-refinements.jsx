@@ -2,42 +2,55 @@ import React from 'react'
 import {Box, useMultiStyleConfig} from '@chakra-ui/react'
 import {CurrentRefinements} from 'react-instantsearch'
 import PropTypes from 'prop-types'
+import {useIntl} from 'react-intl'
+import {useFacetTitle} from './algolia-refinements'
+import {messages as ratingMessages} from './algolia-rating-refinements'
 
-const AlgoliaCurrentRefinements = () => {
+const AlgoliaCurrentRefinements = ({facets = []}) => {
     const styles = useMultiStyleConfig('AlgoliaCurrentRefinements')
 
-    var currency_symbols = {
-        USD: '$',
-        EUR: '€',
-        CRC: '₡',
-        GBP: '£',
-        ILS: '₪',
-        INR: '₹',
-        JPY: '¥',
-        KRW: '₩',
-        NGN: '₦',
-        PHP: '₱',
-        PLN: 'zł',
-        PYG: '₲',
-        THB: '฿',
-        UAH: '₴',
-        VND: '₫'
-    }
+    const intl = useIntl()
+    const formatTitle = useFacetTitle()
 
-    const getCurrency = (refinement) => {
-        const currencyCode = refinement.attribute.split('.')[1]
+    // The price attributes are keyed by currency, e.g. `price.EUR`
+    const formatPrice = (refinement) =>
+        intl.formatNumber(refinement.value, {
+            style: 'currency',
+            currency: refinement.attribute.split('.')[1]
+        })
 
-        return currency_symbols[currencyCode]
-    }
+    // The value of a toggle, e.g. `true`, means nothing alone: its chip shows the title of the facet
+    const toggleFacets = facets.filter(({type}) => type === 'toggle')
+    const ratingAttributes = facets
+        .filter(({type}) => type === 'rating')
+        .map(({attribute}) => attribute)
 
     const customTransformItems = (items) => {
         return items.map((item) => {
-            if (item.attribute.includes('price')) {
+            const toggleFacet = toggleFacets.find(({attribute}) => attribute === item.attribute)
+            if (toggleFacet) {
+                return {
+                    ...item,
+                    refinements: item.refinements.map((refinement) => ({
+                        ...refinement,
+                        label: formatTitle(toggleFacet)
+                    }))
+                }
+            } else if (ratingAttributes.includes(item.attribute)) {
+                return {
+                    ...item,
+                    refinements: item.refinements.map((refinement) => ({
+                        ...refinement,
+                        label: intl.formatMessage(ratingMessages.andUp, {
+                            rating: refinement.value
+                        })
+                    }))
+                }
+            } else if (item.attribute.includes('price')) {
                 var refinements = item.refinements.map((refinement) => {
                     return {
                         ...refinement,
-                        label:
-                            refinement.operator + ' ' + getCurrency(refinement) + refinement.value
+                        label: refinement.operator + ' ' + formatPrice(refinement)
                     }
                 })
                 item.refinements = refinements
@@ -71,7 +84,10 @@ const AlgoliaCurrentRefinements = () => {
 }
 
 AlgoliaCurrentRefinements.propTypes = {
-    transformItems: PropTypes.func
+    /**
+     * The facets of the page, see `resolveAlgoliaFacets`.
+     */
+    facets: PropTypes.arrayOf(PropTypes.object)
 }
 
 export default AlgoliaCurrentRefinements
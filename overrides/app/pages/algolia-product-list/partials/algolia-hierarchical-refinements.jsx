@@ -5,7 +5,7 @@ import PropTypes from 'prop-types'
 import AlgoliaRefinementsContainer from './algolia-refinements-container'
 
 const AlgoliaHierarchicalRefinements = (props) => {
-    const {attributes, rootPath, title} = props
+    const {attributes, rootPath, title, sortBy = ['count:desc'], limit = 3} = props
 
     return (
         <AccordionItem>
@@ -20,14 +20,14 @@ const AlgoliaHierarchicalRefinements = (props) => {
             <AccordionPanel pb={4}>
                 <AlgoliaRefinementsContainer attributes={attributes}>
                     <HierarchicalMenu
-                        sortBy={['count:desc']}
+                        sortBy={sortBy}
                         attributes={attributes}
                         rootPath={rootPath}
                         classNames={{
                             root: 'root',
                             count: 'category-count'
                         }}
-                        limit={3}
+                        limit={limit}
                     />
                 </AlgoliaRefinementsContainer>
             </AccordionPanel>
@@ -38,7 +38,9 @@ const AlgoliaHierarchicalRefinements = (props) => {
 AlgoliaHierarchicalRefinements.propTypes = {
     attributes: PropTypes.arrayOf(PropTypes.string),
     rootPath: PropTypes.string,
-    title: PropTypes.string
+    title: PropTypes.string,
+    sortBy: PropTypes.arrayOf(PropTypes.string),
+    limit: PropTypes.number
 }
 
 export default AlgoliaHierarchicalRefinements
@@ -1,51 +1,186 @@
-import React, {Fragment, useEffect} from 'react'
+import React from 'react'
 import PropTypes from 'prop-types'
-import {useHits, useInstantSearch} from 'react-instantsearch'
-import {Skeleton as ProductTileSkeleton} from '../../../components/algolia/algolia-product-tile/index'
-import {Box, Collapse, Divider, Text, VStack} from '@chakra-ui/react'
+import {useIntl} from 'react-intl'
+import {Highlight, Pagination, Snippet, useHits, useInstantSearch} from 'react-instantsearch'
+import {
+    AspectRatio,
+    Box,
+    Flex,
+    Image,
+    LinkBox,
+    LinkOverlay,
+    Skeleton as ChakraSkeleton,
+    Stack,
+    Text
+} from '@chakra-ui/react'
+import Link from '@salesforce/retail-react-app/app/components/link'
 
-const AlgoliaHitsContent = (props) => {
-    const {isLoading} = props
-    const {hits} = useHits()
-    const {status} = useInstantSearch(props)
+// The paths of the storefront are opened by the app, the other URLs by the browser
+const getLinkProps = (href) => (href.startsWith('/') ? {as: Link, to: href} : {href})
+
+/**
+ * Renders the placeholder of a content result while the results load.
+ */
+export const Skeleton = () => (
+    <Flex
+        data-testid="algolia-content-hit-skeleton"
+        gap={4}
+        padding={4}
+        borderWidth="1px"
+        borderColor="gray.200"
+        borderRadius="md"
+    >
+        <Box width={{base: 20, md: 32}} flexShrink={0}>
+            <AspectRatio ratio={1}>
+                <ChakraSkeleton />
+            </AspectRatio>
+        </Box>
+        <Stack spacing={3} flex={1}>
+            <ChakraSkeleton width="80px" height="12px" />
+            <ChakraSkeleton width={{base: '160px', md: '320px'}} height="20px" />
+            <ChakraSkeleton height="12px" />
+            <ChakraSkeleton width="70%" height="12px" />
+        </Stack>
+    </Flex>
+)
 
-    useEffect(() => {
-        props.setContentHitsCount(hits.length)
-    }, [hits])
+/**
+ * Renders a content result, e.g. an article: its image, its first category, its name and a
+ * snippet of its `body`, or of its `description` without body, with the words of the query
+ * highlighted. The result links to its `url`, a path of the storefront or an absolute URL,
+ * when it has one.
+ */
+const ContentHit = ({hit}) => {
+    const category = hit.categories?.[0]
+    const title = <Highlight attribute="name" hit={hit} />
+    const textAttribute = ['body', 'description'].find((attribute) => hit[attribute])
+
+    return (
+        <LinkBox
+            as="article"
+            display="flex"
+            gap={4}
+            padding={4}
+            borderWidth="1px"
+            borderColor="gray.200"
+            borderRadius="md"
+            _hover={hit.url ? {borderColor: 'gray.400'} : undefined}
+        >
+            {hit.image && (
+                <Box width={{base: 20, md: 32}} flexShrink={0}>
+                    <AspectRatio ratio={1}>
+                        <Image src={hit.image} alt="" objectFit="cover" borderRadius="md" />
+                    </AspectRatio>
+                </Box>
+            )}
+            <Stack spacing={2} flex={1}>
+                {category && (
+                    <Text
+                        fontSize="xs"
+                        fontWeight="semibold"
+                        textTransform="uppercase"
+                        color="gray.600"
+                    >
+                        {category}
+                    </Text>
+                )}
+                <Text as="h3" fontSize="lg" fontWeight="semibold">
+                    {hit.url ? (
+                        <LinkOverlay {...getLinkProps(hit.url)}>{title}</LinkOverlay>
+                    ) : (
+                        title
+                    )}
+                </Text>
+                {textAttribute && (
+                    <Text fontSize="sm" color="gray.700">
+                        <Snippet attribute={textAttribute} hit={hit} />
+                    </Text>
+                )}
+            </Stack>
+        </LinkBox>
+    )
+}
+
+ContentHit.propTypes = {
+    hit: PropTypes.shape({
+        objectID: PropTypes.string,
+        name: PropTypes.string,
+        body: PropTypes.string,
+        description: PropTypes.string,
+        categories: PropTypes.arrayOf(PropTypes.string),
+        image: PropTypes.string,
+        url: PropTypes.string
+    }).isRequired
+}
+
+/**
+ * Renders the results of the current page, their placeholders while they load or a notice
+ * without results.
+ */
+const ContentHits = ({isLoading}) => {
+    const intl = useIntl()
+    const {hits} = useHits()
+    const {status} = useInstantSearch()
 
     if (isLoading || status === 'loading' || status === 'stalled') {
         return (
-            <>
-                {new Array(10).fill(0).map((value, index) => (
-                    <ProductTileSkeleton key={index} />
+            <Stack spacing={4}>
+                {new Array(5).fill(0).map((value, index) => (
+                    <Skeleton key={index} />
                 ))}
-            </>
+            </Stack>
+        )
+    }
+
+    if (!hits.length) {
+        return (
+            <Text paddingY={8} textAlign="center">
+                {intl.formatMessage({
+                    id: 'algolia_hits_content.info.no_results',
+                    defaultMessage: 'No results for this search.'
+                })}
+            </Text>
         )
     }
 
     return (
-        <VStack align="stretch" spacing={4}>
-            {hits.map((hit, idx) => (
-                <Fragment key={idx}>
-                    <Collapse startingHeight={20} animateOpacity in>
-                        <Box borderRadius="md" borderWidth="1px" borderColor="gray.200" p={4}>
-                            <Text fontSize="24px" color="#00a1e0">
-                                {hit.name}
-                            </Text>
-                            <Divider marginY={2} />
-                            {hit.body.length > 500 ? `${hit.body.substring(0, 500)}...` : hit.body}
-                        </Box>
-                    </Collapse>
-                </Fragment>
+        <Stack spacing={4}>
+            {hits.map((hit) => (
+                <ContentHit key={hit.objectID} hit={hit} />
             ))}
-        </VStack>
+        </Stack>
     )
 }
 
+ContentHits.propTypes = {
+    isLoading: PropTypes.bool
+}
+
+/**
+ * Renders the results of a content index of the search page, e.g. the articles, page by page.
+ * The snippets of the texts are those of `attributesToSnippet`, see
+ * `AlgoliaContentIndex`.
+ */
+const AlgoliaHitsContent = ({isLoading}) => (
+    <>
+        <ContentHits isLoading={isLoading} />
+        <Flex justifyContent="center" paddingTop={16}>
+            <Pagination
+                showNext={false}
+                showPrevious={false}
+                classNames={{
+                    root: 'custom-pagination-root',
+                    item: 'custom-pagination-item',
+                    link: 'custom-pagination-link',
+                    selectedItem: 'custom-pagination-item-selected'
+                }}
+            />
+        </Flex>
+    </>
+)
+
 AlgoliaHitsContent.propTypes = {
-    hitComponent: PropTypes.func,
-    isLoading: PropTypes.bool,
-    setContentHitsCount: PropTypes.func
+    isLoading: PropTypes.bool
 }
 
 export default AlgoliaHitsContent
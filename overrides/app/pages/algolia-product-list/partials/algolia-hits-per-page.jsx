@@ -0,0 +1,59 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {useIntl} from 'react-intl'
+import {useHitsPerPage} from 'react-instantsearch'
+import {writeListingPreference} from '../../../utils/algolia-preferences'
+
+/**
+ * Renders a select of the number of products per page. The choice is kept in the `per_page` URL
+ * parameter and in the preferences of the shopper, see `utils/algolia-preferences`.
+ *
+ * The first value is the default of the page.
+ */
+const AlgoliaHitsPerPage = ({values}) => {
+    const intl = useIntl()
+    const {items, refine} = useHitsPerPage({
+        items: values.map((value, index) => ({
+            value,
+            label: intl.formatMessage(
+                {
+                    id: 'algolia_product_list.select.hits_per_page',
+                    defaultMessage: '{count} per page'
+                },
+                {count: value}
+            ),
+            default: index === 0
+        }))
+    })
+    const currentItem = items.find(({isRefined}) => isRefined)
+
+    return (
+        <div className="ais-HitsPerPage">
+            <select
+                className="ais-HitsPerPage-select select"
+                aria-label={intl.formatMessage({
+                    id: 'algolia_product_list.assistive_msg.hits_per_page',
+                    defaultMessage: 'Products per page'
+                })}
+                value={currentItem?.value}
+                onChange={({target}) => {
+                    const value = Number(target.value)
+                    writeListingPreference('hitsPerPage', value)
+                    refine(value)
+                }}
+            >
+                {items.map(({value, label}) => (
+                    <option key={value} value={value}>
+                        {label}
+                    </option>
+                ))}
+            </select>
+        </div>
+    )
+}
+
+AlgoliaHitsPerPage.propTypes = {
+    values: PropTypes.arrayOf(PropTypes.number).isRequired
+}
+
+export default AlgoliaHitsPerPage
@@ -1,26 +1,40 @@
-import React, {Fragment, useState} from 'react'
+import React, {useState} from 'react'
 import PropTypes from 'prop-types'
 import {useHits, useInstantSearch} from 'react-instantsearch'
+import {SimpleGrid} from '@salesforce/retail-react-app/app/components/shared/ui'
 import ProductTile, {
     Skeleton as ProductTileSkeleton
 } from '../../../components/algolia/algolia-product-tile/index'
 
-const AlgoliaHitsProducts = (props) => {
-    const {isLoading, addItemToWishlist, removeItemFromWishlist, isInWishlist, activeCurrency} =
-        props
-    const {hits, sendEvent} = useHits()
-    const {status} = useInstantSearch(props)
-    const [selectedColors, setSelectedColors] = useState({})
+/**
+ * The grid of the product tiles, with a single column in the list view.
+ */
+export const ProductGrid = ({view = 'grid', ...props}) => (
+    <SimpleGrid
+        columns={view === 'list' ? 1 : [2, 2, 3, 4]}
+        spacingX={4}
+        spacingY={{base: 12, lg: 8}}
+        {...props}
+    />
+)
 
-    if (isLoading || status === 'loading' || status === 'stalled') {
-        return (
-            <>
-                {new Array(10).fill(0).map((value, index) => (
-                    <ProductTileSkeleton key={index} />
-                ))}
-            </>
-        )
-    }
+ProductGrid.propTypes = {
+    view: PropTypes.oneOf(['grid', 'list'])
+}
+
+/**
+ * Renders the product tiles of Algolia hits.
+ */
+export const ProductHitTiles = ({
+    hits,
+    sendEvent,
+    addItemToWishlist,
+    removeItemFromWishlist,
+    isInWishlist,
+    activeCurrency,
+    view = 'grid'
+}) => {
+    const [selectedColors, setSelectedColors] = useState({})
 
     return (
         <>
@@ -41,8 +55,12 @@ const AlgoliaHitsProducts = (props) => {
                         const action = isFavourite ? addItemToWishlist : removeItemFromWishlist
                         return action(hit)
                     }}
+                    variant={view}
                     dynamicImageProps={{
-                        widths: ['50vw', '50vw', '20vw', '20vw', '25vw']
+                        widths:
+                            view === 'list'
+                                ? ['40vw', '40vw', '240px']
+                                : ['50vw', '50vw', '20vw', '20vw', '25vw']
                     }}
                 />
             ))}
@@ -50,6 +68,37 @@ const AlgoliaHitsProducts = (props) => {
     )
 }
 
+ProductHitTiles.propTypes = {
+    hits: PropTypes.arrayOf(PropTypes.object).isRequired,
+    sendEvent: PropTypes.func.isRequired,
+    addItemToWishlist: PropTypes.func,
+    removeItemFromWishlist: PropTypes.func,
+    isInWishlist: PropTypes.func,
+    activeCurrency: PropTypes.string,
+    view: PropTypes.oneOf(['grid', 'list'])
+}
+
+/**
+ * Renders the product tiles of the current page of results.
+ */
+const AlgoliaHitsProducts = (props) => {
+    const {isLoading, ...tileProps} = props
+    const {hits, sendEvent} = useHits()
+    const {status} = useInstantSearch(props)
+
+    if (isLoading || status === 'loading' || status === 'stalled') {
+        return (
+            <>
+                {new Array(10).fill(0).map((value, index) => (
+                    <ProductTileSkeleton key={index} />
+                ))}
+            </>
+        )
+    }
+
+    return <ProductHitTiles hits={hits} sendEvent={sendEvent} {...tileProps} />
+}
+
 AlgoliaHitsProducts.propTypes = {
     hitComponent: PropTypes.func,
     isLoading: PropTypes.bool,
@@ -58,7 +107,8 @@ AlgoliaHitsProducts.propTypes = {
     addItemToWishlist: PropTypes.func,
     removeItemFromWishlist: PropTypes.func,
     isInWishlist: PropTypes.func,
-    activeCurrency: PropTypes.object
+    activeCurrency: PropTypes.string,
+    view: PropTypes.oneOf(['grid', 'list'])
 }
 
 export default AlgoliaHitsProducts
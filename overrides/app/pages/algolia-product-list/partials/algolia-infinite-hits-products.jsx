@@ -0,0 +1,124 @@
+import React, {useEffect, useRef} from 'react'
+import PropTypes from 'prop-types'
+import {FormattedMessage} from 'react-intl'
+import {useInfiniteHits, useInstantSearch} from 'react-instantsearch'
+import {createInfiniteHitsSessionStorageCache} from 'instantsearch.js/es/lib/infiniteHitsCache'
+import {Box, Button, Flex, Text} from '@salesforce/retail-react-app/app/components/shared/ui'
+import {Skeleton as ProductTileSkeleton} from '../../../components/algolia/algolia-product-tile/index'
+import {ProductGrid, ProductHitTiles} from './algolia-hits-products'
+import AlgoliaRuleBanners from './algolia-rule-banners'
+
+// The pages loaded are kept in the session storage, so that they are all rendered again when the
+// shopper comes back to the page, e.g. from a product detail page
+const cache = createInfiniteHitsSessionStorageCache()
+
+/**
+ * Renders the product tiles of all the pages loaded, with a "Load more" button (`loadMore` mode)
+ * or loading the next page when the shopper scrolls to the last products (`infiniteScroll` mode).
+ *
+ * The last page loaded is kept in the `page` URL parameter. When the page is opened on a later
+ * page without the previous ones in the cache, e.g. from a shared link, a "Load previous" button
+ * loads them.
+ */
+const AlgoliaInfiniteHitsProducts = ({mode, isLoading, ...tileProps}) => {
+    const {hits, results, sendEvent, isFirstPage, isLastPage, showMore, showPrevious} =
+        useInfiniteHits({cache})
+    const {status} = useInstantSearch()
+    const isSearching = status === 'loading' || status === 'stalled'
+
+    // The products already loaded stay rendered while the next page loads
+    const isLoadingPageRef = useRef(false)
+    if (!isSearching) {
+        isLoadingPageRef.current = false
+    }
+    const loadNextPage = () => {
+        isLoadingPageRef.current = true
+        showMore()
+    }
+    const loadPreviousPage = () => {
+        isLoadingPageRef.current = true
+        showPrevious()
+    }
+
+    // The observer is created again once a page is loaded, so that the next page is loaded too if
+    // the end of the list is still visible
+    const sentinelRef = useRef(null)
+    useEffect(() => {
+        if (mode !== 'infiniteScroll' || isLastPage || !sentinelRef.current) {
+            return
+        }
+
+        const observer = new IntersectionObserver(
+            ([entry]) => {
+                if (entry.isIntersecting && !isLoadingPageRef.current) {
+                    isLoadingPageRef.current = true
+                    showMore()
+                }
+            },
+            {rootMargin: '0px 0px 400px 0px'}
+        )
+        observer.observe(sentinelRef.current)
+        return () => observer.disconnect()
+    }, [mode, isLastPage, showMore, hits.length])
+
+    if (isLoading || (isSearching && !isLoadingPageRef.current)) {
+        return (
+            <ProductGrid view={tileProps.view}>
+                {new Array(10).fill(0).map((value, index) => (
+                    <ProductTileSkeleton key={index} />
+                ))}
+            </ProductGrid>
+        )
+    }
+
+    return (
+        <Box>
+            {!isFirstPage && (
+                <Flex justifyContent="center" paddingBottom={8}>
+                    <Button variant="outline" isLoading={isSearching} onClick={loadPreviousPage}>
+                        <FormattedMessage
+                            defaultMessage="Load previous"
+                            id="algolia_product_list.button.load_previous"
+                        />
+                    </Button>
+                </Flex>
+            )}
+            <ProductGrid view={tileProps.view}>
+                <AlgoliaRuleBanners position="grid" />
+                <ProductHitTiles hits={hits} sendEvent={sendEvent} {...tileProps} />
+            </ProductGrid>
+            <Flex direction="column" alignItems="center" gap={4} paddingTop={16}>
+                <Text fontSize="sm" color="gray.600">
+                    <FormattedMessage
+                        defaultMessage="You've viewed {count} of {total} products"
+                        id="algolia_product_list.info.viewed_products"
+                        values={{count: hits.length, total: results?.nbHits || 0}}
+                    />
+                </Text>
+                {!isLastPage &&
+                    (mode === 'infiniteScroll' ? (
+                        <Box ref={sentinelRef} height={1} width="full" />
+                    ) : (
+                        <Button variant="outline" isLoading={isSearching} onClick={loadNextPage}>
+                            <FormattedMessage
+                                defaultMessage="Load more"
+                                id="algolia_product_list.button.load_more"
+                            />
+                        </Button>
+                    ))}
+            </Flex>
+        </Box>
+    )
+}
+
+AlgoliaInfiniteHitsProducts.propTypes = {
+    mode: PropTypes.oneOf(['loadMore', 'infiniteScroll']).isRequired,
+    isLoading: PropTypes.bool,
+    addItemToWishlist: PropTypes.func,
+    removeItemFromWishlist: PropTypes.func,
+    isInWishlist: PropTypes.func,
+    activeCurrency: PropTypes.string,
+    view: PropTypes.oneOf(['grid', 'list'])
+}
+
+export default AlgoliaInfiniteHitsProducts
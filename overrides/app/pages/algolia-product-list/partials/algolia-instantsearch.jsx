@@ -0,0 +1,221 @@
+import React, {useEffect, useRef, useState} from 'react'
+import PropTypes from 'prop-types'
+import {useHistory, useLocation} from 'react-router-dom'
+import {useQuery, useQueryClient} from '@tanstack/react-query'
+import {
+    InstantSearch,
+    InstantSearchServerContext,
+    InstantSearchSSRProvider
+} from 'react-instantsearch'
+import {history as historyRouter} from 'instantsearch.js/es/lib/routers'
+import {getInitialResults, waitForResults} from 'instantsearch.js/es/lib/server'
+import {getAppOrigin} from '@salesforce/pwa-kit-react-sdk/utils/url'
+import {useAlgolia} from '../../../hooks/use-algolia'
+import {readListingPreferences} from '../../../utils/algolia-preferences'
+import {
+    contentUiStateToRoute,
+    createRouteURL,
+    HITS_PER_PAGE_PARAMETER,
+    parseRoute,
+    routeToContentUiState,
+    routeToUiState,
+    uiStateToRoute
+} from '../../../utils/algolia-routing'
+
+const isServer = typeof window === 'undefined'
+
+/**
+ * Waits for the search the InstantSearch instance sends with its widgets, and returns its
+ * results in the format of the `getServerState` function of react-instantsearch.
+ *
+ * @param {Object} search - The InstantSearch instance.
+ * @returns {Promise<Object|null>} The server state, or `null` if the search failed.
+ */
+const getServerState = async (search) => {
+    if (!search) {
+        return null
+    }
+
+    try {
+        const requestParamsList = await waitForResults(search)
+
+        return {initialResults: getInitialResults(search.mainIndex, requestParamsList)}
+    } catch (error) {
+        // The page is then rendered without results, and the browser searches itself
+        console.error('Algolia server-side rendering error:', error)
+        return null
+    }
+}
+
+/**
+ * Renders `InstantSearch` with the results of the page computed on the server, so that the
+ * server-side rendered HTML of the product listing pages contains the products, the facets and
+ * the counts.
+ *
+ * The server state is computed like `getServerState` of react-instantsearch does, but within the
+ * render of PWA Kit: during the `ssrPrepass` of `withReactQuery`, `InstantSearch` registers the
+ * widgets of the page, then the query of the server state is fetched with the other queries of
+ * the page. The server state is used to render the page on the server, and is dehydrated with the
+ * other queries to hydrate `InstantSearch` in the browser without searching again.
+ *
+ * The refinements, the sort, the page and the number of products per page are kept in the URL
+ * parameters of the `facets`, see `utils/algolia-routing`. The URL is written with the history of
+ * React Router, so that the location of the app follows the search state. Without `per_page`,
+ * the number of products per page is the one the shopper chose last, if it is one of the
+ * `hitsPerPage` choices: as the choice is not known on the server, it is applied once the page is
+ * hydrated, with a new search, and written to the URL in place of the current entry. The content
+ * indices of the tabs of the search page only keep their page, e.g. `articles_page`, see
+ * `AlgoliaContentIndex`.
+ */
+const AlgoliaInstantSearch = ({children, facets, hitsPerPage, ...props}) => {
+    const location = useLocation()
+    const history = useHistory()
+    const queryClient = useQueryClient()
+    const {indices, features} = useAlgolia()
+    const searchRef = useRef(null)
+
+    // The routing is created once, but the facets change with the category
+    const routingContextRef = useRef()
+    routingContextRef.current = {facets, indices, hitsPerPage}
+
+    const queryKey = [
+        'algolia',
+        'instantsearch',
+        props.indexName,
+        location.pathname,
+        location.search
+    ]
+    const {isFetched} = useQuery({
+        queryKey,
+        queryFn: () => getServerState(searchRef.current),
+        // The server state is only computed on the server, the browser searches itself
+        enabled: isServer && features.ssr
+    })
+
+    // Only the first render uses the server state: the next searches are sent from the browser
+    const [initialQueryKey] = useState(queryKey)
+    const [serverState] = useState(() => queryClient.getQueryData(queryKey))
+    useEffect(() => {
+        queryClient.removeQueries({queryKey: initialQueryKey, exact: true})
+    }, [queryClient, initialQueryKey])
+
+    // InstantSearch reads the URL on the first render and when the shopper goes back or forward.
+    // When the app navigates, e.g. to another category or search, the URL is read again once the
+    // page is rendered with its facets.
+    const onRouteUpdateRef = useRef()
+    const lastPushedUrlRef = useRef()
+    const isFirstRender = useRef(true)
+    const isMountedRef = useRef(false)
+    const shouldReplaceUrlRef = useRef(false)
+    useEffect(() => {
+        if (isFirstRender.current) {
+            isFirstRender.current = false
+            return
+        }
+        if (history.action !== 'POP' && window.location.href !== lastPushedUrlRef.current) {
+            onRouteUpdateRef.current?.()
+        }
+    }, [location, history])
+
+    // The page is hydrated with the default number of products per page of the server: the one
+    // the shopper chose last is read from the URL again once mounted
+    useEffect(() => {
+        isMountedRef.current = true
+        const preferredHitsPerPage = readListingPreferences().hitsPerPage
+        if (
+            !parseRoute(window.location.search, facets)[HITS_PER_PAGE_PARAMETER] &&
+            preferredHitsPerPage !== hitsPerPage?.[0] &&
+            hitsPerPage?.includes(preferredHitsPerPage)
+        ) {
+            shouldReplaceUrlRef.current = true
+            onRouteUpdateRef.current?.()
+        }
+    }, [])
+
+    // Read once, when the InstantSearch instance is created
+    const [routing] = useState(() => ({
+        router: historyRouter({
+            getLocation: () =>
+                isServer
+                    ? new URL(`${location.pathname}${location.search}`, getAppOrigin())
+                    : window.location,
+            createURL: ({routeState, location: currentLocation}) =>
+                createRouteURL(routeState, currentLocation, routingContextRef.current.facets),
+            parseURL: ({location: currentLocation}) =>
+                parseRoute(currentLocation.search, routingContextRef.current.facets),
+            push: (url) => {
+                const {pathname, search, hash} = new URL(url)
+                lastPushedUrlRef.current = url
+                if (shouldReplaceUrlRef.current) {
+                    shouldReplaceUrlRef.current = false
+                    history.replace({pathname, search, hash})
+                } else {
+                    history.push({pathname, search, hash})
+                }
+            },
+            start: (onUpdate) => {
+                onRouteUpdateRef.current = onUpdate
+            },
+            dispose: () => {
+                onRouteUpdateRef.current = undefined
+            }
+        }),
+        stateMapping: {
+            stateToRoute: (uiState) => ({
+                ...uiStateToRoute(uiState[props.indexName], routingContextRef.current),
+                ...contentUiStateToRoute(uiState)
+            }),
+            routeToState: (route) => {
+                const {hitsPerPage: hitsPerPageValues, ...context} = routingContextRef.current
+                // Not read before the page is hydrated, see above
+                const preferredHitsPerPage =
+                    isMountedRef.current && readListingPreferences().hitsPerPage
+
+                return {
+                    ...routeToContentUiState(route),
+                    [props.indexName]: routeToUiState(route, {
+                        ...context,
+                        hitsPerPage: hitsPerPageValues?.includes(preferredHitsPerPage)
+                            ? preferredHitsPerPage
+                            : undefined
+                    })
+                }
+            }
+        }
+    }))
+
+    const instantSearch = (
+        <InstantSearchSSRProvider {...serverState}>
+            <InstantSearch {...props} routing={routing}>
+                {children}
+            </InstantSearch>
+        </InstantSearchSSRProvider>
+    )
+
+    // Lets `InstantSearch` register its widgets and share its instance while the server state
+    // is not computed yet
+    if (isServer && features.ssr && !isFetched) {
+        return (
+            <InstantSearchServerContext.Provider
+                value={{
+                    notifyServer: ({search}) => {
+                        searchRef.current = search
+                    }
+                }}
+            >
+                {instantSearch}
+            </InstantSearchServerContext.Provider>
+        )
+    }
+
+    return instantSearch
+}
+
+AlgoliaInstantSearch.propTypes = {
+    children: PropTypes.node,
+    facets: PropTypes.arrayOf(PropTypes.object).isRequired,
+    hitsPerPage: PropTypes.arrayOf(PropTypes.number),
+    indexName: PropTypes.string.isRequired
+}
+
+export default AlgoliaInstantSearch
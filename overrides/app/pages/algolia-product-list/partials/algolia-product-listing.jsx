@@ -0,0 +1,73 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {Flex, useMediaQuery} from '@salesforce/retail-react-app/app/components/shared/ui'
+import {Pagination, useInstantSearch} from 'react-instantsearch'
+import AlgoliaHitsProducts, {ProductGrid} from './algolia-hits-products'
+import AlgoliaInfiniteHitsProducts from './algolia-infinite-hits-products'
+import AlgoliaRuleBanners from './algolia-rule-banners'
+import AlgoliaRelaxedQueryNotice from './algolia-relaxed-query-notice'
+import {useAlgolia} from '../../../hooks/use-algolia'
+import {useScrollRestoration} from '../../../hooks/use-scroll-restoration'
+import {resolveListingModes} from '../../../utils/algolia-utils'
+
+/**
+ * Renders the products of a product listing page in the listing mode of the device, see
+ * `resolveListingModes`, and in the grid or the list `view`, with the banners of the rules applied
+ * to the search. It restores the scroll position when the shopper comes back to the page.
+ */
+const AlgoliaProductListing = (props) => {
+    const {config} = useAlgolia()
+    const {status} = useInstantSearch()
+    // The viewport is not known on the server: the page is rendered in the desktop mode, on the
+    // server and until it is mounted, so that the hydrated widgets are those of the server
+    const [isDesktop] = useMediaQuery('(min-width: 992px)', {ssr: true, fallback: true})
+    const listingModes = resolveListingModes(config)
+    const mode = isDesktop ? listingModes.desktop : listingModes.mobile
+
+    useScrollRestoration(status === 'idle')
+
+    if (mode !== 'pagination') {
+        return (
+            <>
+                <AlgoliaRelaxedQueryNotice />
+                <AlgoliaRuleBanners position="top" />
+                <AlgoliaInfiniteHitsProducts mode={mode} {...props} />
+            </>
+        )
+    }
+
+    return (
+        <>
+            <AlgoliaRelaxedQueryNotice />
+            <AlgoliaRuleBanners position="top" />
+            <ProductGrid view={props.view}>
+                <AlgoliaRuleBanners position="grid" />
+                <AlgoliaHitsProducts {...props} />
+            </ProductGrid>
+            {/* Footer */}
+            <Flex justifyContent={['center', 'center', 'flex-center']} paddingTop={16}>
+                <Pagination
+                    showNext={false}
+                    showPrevious={false}
+                    classNames={{
+                        root: 'custom-pagination-root',
+                        item: 'custom-pagination-item',
+                        link: 'custom-pagination-link',
+                        selectedItem: 'custom-pagination-item-selected'
+                    }}
+                />
+            </Flex>
+        </>
+    )
+}
+
+AlgoliaProductListing.propTypes = {
+    searchQuery: PropTypes.string,
+    addItemToWishlist: PropTypes.func,
+    removeItemFromWishlist: PropTypes.func,
+    isInWishlist: PropTypes.func,
+    activeCurrency: PropTypes.string,
+    view: PropTypes.oneOf(['grid', 'list'])
+}
+
+export default AlgoliaProductListing
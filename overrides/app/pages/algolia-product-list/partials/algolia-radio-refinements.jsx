@@ -1,43 +1,72 @@
 import React from 'react'
-import {Box, Text, Radio, RadioGroup, Stack} from '@chakra-ui/react'
+import {
+    Box,
+    Text,
+    Radio,
+    RadioGroup,
+    Stack,
+    AccordionItem,
+    AccordionButton,
+    AccordionPanel,
+    AccordionIcon
+} from '@chakra-ui/react'
 import {useNumericMenu} from 'react-instantsearch'
+import AlgoliaRefinementsContainer from './algolia-refinements-container'
 import PropTypes from 'prop-types'
 
 const AlgoliaRadioRefinements = (props) => {
     const {items, refine} = useNumericMenu(props)
+    const refinedItem = items.find((item) => item.isRefined)
 
     return (
-        <Box>
-            <RadioGroup>
-                <Stack spacing={1}>
-                    {items.map((item) => {
-                        return (
-                            <Box key={item.value}>
-                                <Radio
-                                    display="flex"
-                                    alignItems="center"
-                                    height={{base: '44px', lg: '24px'}}
-                                    value={item.value}
-                                    checked={item.isRefined}
-                                    onChange={() => refine(item.value)}
-                                    fontSize="sm"
-                                >
-                                    <Text marginLeft={-1} fontSize="sm">
-                                        {item.label}
-                                    </Text>
-                                </Radio>
-                            </Box>
-                        )
-                    })}
-                </Stack>
-            </RadioGroup>
-        </Box>
+        <AccordionItem>
+            <h2>
+                <AccordionButton>
+                    <Box as="span" flex="1" textAlign="left">
+                        {props.title}
+                    </Box>
+                    <AccordionIcon />
+                </AccordionButton>
+            </h2>
+            <AccordionPanel pb={4}>
+                <AlgoliaRefinementsContainer attributes={[props.attribute]}>
+                    <RadioGroup value={refinedItem?.value} onChange={refine}>
+                        <Stack spacing={1}>
+                            {items.map((item) => {
+                                return (
+                                    <Box key={item.value}>
+                                        <Radio
+                                            display="flex"
+                                            alignItems="center"
+                                            height={{base: '44px', lg: '24px'}}
+                                            value={item.value}
+                                            fontSize="sm"
+                                        >
+                                            <Text marginLeft={-1} fontSize="sm">
+                                                {item.label}
+                                            </Text>
+                                        </Radio>
+                                    </Box>
+                                )
+                            })}
+                        </Stack>
+                    </RadioGroup>
+                </AlgoliaRefinementsContainer>
+            </AccordionPanel>
+        </AccordionItem>
     )
 }
 
 AlgoliaRadioRefinements.propTypes = {
     attribute: PropTypes.string,
-    items: PropTypes.array
+    title: PropTypes.string,
+    items: PropTypes.arrayOf(
+        PropTypes.shape({
+            label: PropTypes.string,
+            start: PropTypes.number,
+            end: PropTypes.number
+        })
+    )
 }
 
 export default AlgoliaRadioRefinements
@@ -1,44 +1,165 @@
-import React from 'react'
-import {Box, AccordionItem, AccordionButton, AccordionPanel, AccordionIcon} from '@chakra-ui/react'
+import React, {useEffect, useState} from 'react'
+import {
+    Box,
+    Flex,
+    Text,
+    AccordionItem,
+    AccordionButton,
+    AccordionPanel,
+    AccordionIcon,
+    RangeSlider,
+    RangeSliderTrack,
+    RangeSliderFilledTrack,
+    RangeSliderThumb
+} from '@chakra-ui/react'
+import {defineMessages, useIntl} from 'react-intl'
+import {useInstantSearch, useRange} from 'react-instantsearch'
 
 import AlgoliaRefinementsContainer from './algolia-refinements-container'
 import PropTypes from 'prop-types'
-import {RangeInput} from 'react-instantsearch'
+import {useAlgolia} from '../../../hooks/use-algolia'
+
+const HISTOGRAM_BARS = 20
+
+const messages = defineMessages({
+    min: {id: 'algolia_range_refinements.assistive_msg.min', defaultMessage: 'Minimum {title}'},
+    max: {id: 'algolia_range_refinements.assistive_msg.max', defaultMessage: 'Maximum {title}'}
+})
+
+/**
+ * Distributes the counts of the values of a numeric facet in equal ranges between `min` and
+ * `max`. The facet values are limited to the `maxValuesPerFacet` of the search, so the
+ * distribution is approximate when the attribute has more values.
+ *
+ * @param {Object} [facetValues] - The counts of the facet values, e.g. `{"59.99": 3}`.
+ * @param {Object} range - The bounds of the values, `{min, max}`.
+ * @param {number} [barCount] - The number of ranges.
+ * @returns {number[]} The number of products of each range, or an empty array without range.
+ */
+export const getHistogram = (facetValues = {}, {min, max}, barCount = HISTOGRAM_BARS) => {
+    const barWidth = (max - min) / barCount
+    if (!(barWidth > 0)) {
+        return []
+    }
+
+    const bars = new Array(barCount).fill(0)
+    Object.entries(facetValues).forEach(([value, count]) => {
+        const index = Math.min(Math.floor((Number(value) - min) / barWidth), barCount - 1)
+        if (index >= 0) {
+            bars[index] += count
+        }
+    })
+
+    return bars
+}
+
+// `useRange` returns infinite bounds when the attribute is not refined
+const clampRange = ([start, end], {min, max}) => [
+    Number.isFinite(start) ? Math.max(start, min) : min,
+    Number.isFinite(end) ? Math.min(end, max) : max
+]
+
+/**
+ * Renders a dual-handle slider refining a numeric attribute, above a histogram of the
+ * distribution of its values. The values are formatted in the active currency for the price
+ * attribute.
+ */
+const AlgoliaRangeRefinements = ({attribute, title}) => {
+    const intl = useIntl()
+    const {priceAttribute, currency} = useAlgolia()
+    const {start, range, canRefine, refine} = useRange({attribute})
+    const {results} = useInstantSearch()
+
+    // The values follow the handles while they move, the search is refined once they are released
+    const [values, setValues] = useState(() => clampRange(start, range))
+    useEffect(() => {
+        setValues(clampRange(start, range))
+    }, [start[0], start[1], range.min, range.max])
+
+    const formatValue = (value) =>
+        intl.formatNumber(
+            value,
+            attribute === priceAttribute
+                ? {style: 'currency', currency, maximumFractionDigits: 0}
+                : {maximumFractionDigits: 2}
+        )
+
+    const histogram = getHistogram(
+        results?.disjunctiveFacets?.find(({name}) => name === attribute)?.data,
+        range
+    )
+    const maxCount = Math.max(...histogram, 1)
+    const barWidth = (range.max - range.min) / histogram.length
+    const hasRange = canRefine && range.min < range.max
 
-const AlgoliaRangeRefinementsAlt = (props) => {
     return (
         <AccordionItem>
             <h2>
                 <AccordionButton>
                     <Box as="span" flex="1" textAlign="left">
-                        {props.title}
+                        {title}
                     </Box>
                     <AccordionIcon />
                 </AccordionButton>
             </h2>
             <AccordionPanel pb={4}>
-                <AlgoliaRefinementsContainer attributes={[props.attribute]}>
-                    <RangeInput
-                        classNames={{
-                            input: 'custom-range-input',
-                            submit: 'custom-range-submit',
-                            separator: 'custom-range-separator'
-                        }}
-                        translations={{
-                            separatorElementText: '-',
-                            submitButtonText: 'Apply'
-                        }}
-                        attribute="price.USD"
-                    />
+                <AlgoliaRefinementsContainer attributes={[attribute]}>
+                    {hasRange && (
+                        <Box paddingX={2}>
+                            <Flex height={16} alignItems="flex-end" gap="2px" aria-hidden>
+                                {histogram.map((count, index) => {
+                                    const barStart = range.min + index * barWidth
+                                    const isSelected =
+                                        barStart + barWidth >= values[0] && barStart <= values[1]
+                                    return (
+                                        <Box
+                                            key={index}
+                                            flex={1}
+                                            height={`${(count / maxCount) * 100}%`}
+                                            minHeight={count ? '2px' : 0}
+                                            borderTopRadius="sm"
+                                            backgroundColor={isSelected ? 'blue.500' : 'gray.200'}
+                                        />
+                                    )
+                                })}
+                            </Flex>
+                            <RangeSlider
+                                min={range.min}
+                                max={range.max}
+                                value={values}
+                                onChange={setValues}
+                                onChangeEnd={(newValues) => refine(newValues)}
+                                getAriaValueText={formatValue}
+                            >
+                                <RangeSliderTrack>
+                                    <RangeSliderFilledTrack />
+                                </RangeSliderTrack>
+                                <RangeSliderThumb
+                                    index={0}
+                                    boxSize={5}
+                                    aria-label={intl.formatMessage(messages.min, {title})}
+                                />
+                                <RangeSliderThumb
+                                    index={1}
+                                    boxSize={5}
+                                    aria-label={intl.formatMessage(messages.max, {title})}
+                                />
+                            </RangeSlider>
+                            <Flex justifyContent="space-between" fontSize="sm">
+                                <Text>{formatValue(values[0])}</Text>
+                                <Text>{formatValue(values[1])}</Text>
+                            </Flex>
+                        </Box>
+                    )}
                 </AlgoliaRefinementsContainer>
             </AccordionPanel>
         </AccordionItem>
     )
 }
 
-AlgoliaRangeRefinementsAlt.propTypes = {
+AlgoliaRangeRefinements.propTypes = {
     attribute: PropTypes.string,
     title: PropTypes.string
 }
 
-export default AlgoliaRangeRefinementsAlt
+export default AlgoliaRangeRefinements
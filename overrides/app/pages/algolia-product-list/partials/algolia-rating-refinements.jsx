@@ -0,0 +1,138 @@
+import React from 'react'
+import {
+    Box,
+    Button,
+    Stack,
+    Text,
+    AccordionItem,
+    AccordionButton,
+    AccordionPanel,
+    AccordionIcon
+} from '@chakra-ui/react'
+import {defineMessages, useIntl} from 'react-intl'
+import {useConnector, useNumericMenu} from 'react-instantsearch'
+import AlgoliaRefinementsContainer from './algolia-refinements-container'
+import PropTypes from 'prop-types'
+import RatingStars from '../../../components/algolia/rating-stars'
+
+export const messages = defineMessages({
+    andUp: {
+        id: 'algolia_rating_refinements.label.and_up',
+        defaultMessage: '{rating, plural, one {# star} other {# stars}} & up'
+    }
+})
+
+/**
+ * Returns the options of a rating facet, from `max - 1` stars & up down to 1 star & up, after the
+ * option without refinement.
+ *
+ * @param {number} max - The highest rating.
+ * @returns {Object[]} The options of `useNumericMenu`, e.g. `{label: '4', start: 4}`.
+ */
+const getRatingItems = (max) => [
+    {label: ''},
+    ...new Array(max - 1).fill(0).map((value, index) => ({
+        label: String(max - 1 - index),
+        start: max - 1 - index
+    }))
+]
+
+/**
+ * Creates a widget that requests the attribute as a facet, for its `facets_stats`: an index
+ * without ratings has none.
+ */
+const connectFacetStats =
+    (renderFn, unmountFn = () => {}) =>
+    (widgetParams) => ({
+        $$type: 'algolia.facetStats',
+        init(initOptions) {
+            renderFn({...this.getWidgetRenderState(initOptions), widgetParams}, true)
+        },
+        render(renderOptions) {
+            renderFn({...this.getWidgetRenderState(renderOptions), widgetParams}, false)
+        },
+        dispose({state}) {
+            unmountFn()
+            return state.removeFacet(widgetParams.attribute)
+        },
+        getWidgetSearchParameters(state) {
+            return state.addFacet(widgetParams.attribute)
+        },
+        getWidgetRenderState({results, instantSearchInstance}) {
+            return {
+                stats: results?.getFacetStats(widgetParams.attribute),
+                instantSearchInstance
+            }
+        }
+    })
+
+/**
+ * Renders the "4 stars & up" options of a numeric rating attribute, e.g. `reviews.rating`, with
+ * the stars of the product tiles. Selecting the refined option again removes the refinement.
+ *
+ * The facet is hidden when the products have no rating, e.g. in an index without the attribute.
+ * The attribute must be declared in the `attributesForFaceting` of the index.
+ */
+const AlgoliaRatingRefinements = ({attribute, title, max = 5}) => {
+    const intl = useIntl()
+    const {items, refine} = useNumericMenu({attribute, items: getRatingItems(max)})
+    const [allItem, ...ratingItems] = items
+    const {stats} = useConnector(connectFacetStats, {attribute})
+
+    if (!stats) {
+        return null
+    }
+
+    return (
+        <AccordionItem>
+            <h2>
+                <AccordionButton>
+                    <Box as="span" flex="1" textAlign="left">
+                        {title}
+                    </Box>
+                    <AccordionIcon />
+                </AccordionButton>
+            </h2>
+            <AccordionPanel pb={4}>
+                <AlgoliaRefinementsContainer attributes={[attribute]}>
+                    <Stack spacing={1}>
+                        {ratingItems.map((item) => {
+                            const rating = Number(item.label)
+                            return (
+                                <Button
+                                    key={item.value}
+                                    variant="ghost"
+                                    size="sm"
+                                    justifyContent="flex-start"
+                                    paddingX={1}
+                                    aria-pressed={item.isRefined}
+                                    onClick={() =>
+                                        refine(item.isRefined ? allItem.value : item.value)
+                                    }
+                                >
+                                    <RatingStars rating={rating} max={max} aria-hidden />
+                                    <Text
+                                        as="span"
+                                        fontSize="sm"
+                                        marginLeft={2}
+                                        fontWeight={item.isRefined ? 'bold' : 'normal'}
+                                    >
+                                        {intl.formatMessage(messages.andUp, {rating})}
+                                    </Text>
+                                </Button>
+                            )
+                        })}
+                    </Stack>
+                </AlgoliaRefinementsContainer>
+            </AccordionPanel>
+        </AccordionItem>
+    )
+}
+
+AlgoliaRatingRefinements.propTypes = {
+    attribute: PropTypes.string,
+    title: PropTypes.string,
+    max: PropTypes.number
+}
+
+export default AlgoliaRatingRefinements
@@ -0,0 +1,185 @@
+import React, {useState} from 'react'
+import {
+    Box,
+    Button,
+    Input,
+    InputGroup,
+    InputLeftElement,
+    Text,
+    AccordionItem,
+    AccordionButton,
+    AccordionPanel,
+    AccordionIcon
+} from '@chakra-ui/react'
+import {defineMessages, useIntl} from 'react-intl'
+import {useRefinementList} from 'react-instantsearch'
+import {getHighlightedParts, unescape} from 'instantsearch.js/es/lib/utils'
+import PropTypes from 'prop-types'
+import {SearchIcon} from '@salesforce/retail-react-app/app/components/icons'
+import AlgoliaRefinementsContainer from './algolia-refinements-container'
+
+const messages = defineMessages({
+    search: {id: 'algolia_refinement_list.placeholder.search', defaultMessage: 'Search {title}'},
+    noResults: {id: 'algolia_refinement_list.info.no_results', defaultMessage: 'No results'},
+    showMore: {id: 'algolia_refinement_list.button.show_more', defaultMessage: 'Show more'},
+    showLess: {id: 'algolia_refinement_list.button.show_less', defaultMessage: 'Show less'}
+})
+
+/**
+ * Renders the label of a facet value, with the part matching the search within the facet
+ * highlighted.
+ */
+export const RefinementLabel = ({item}) => {
+    if (!item.highlighted) {
+        return item.label
+    }
+
+    return getHighlightedParts(unescape(item.highlighted)).map(({value, isHighlighted}, index) =>
+        isHighlighted ? (
+            <Text as="mark" key={index} backgroundColor="transparent" fontWeight="bold">
+                {value}
+            </Text>
+        ) : (
+            value
+        )
+    )
+}
+
+RefinementLabel.propTypes = {
+    item: PropTypes.shape({
+        label: PropTypes.string.isRequired,
+        highlighted: PropTypes.string
+    }).isRequired
+}
+
+/**
+ * Renders the values of a facet in an accordion item, with each value rendered by `renderItem`.
+ *
+ * With `searchable`, a search box searches the values of the facet with `searchForFacetValues`,
+ * which requires the attribute to be declared `searchable()` in the `attributesForFaceting` of the
+ * index. With a `showMoreLimit` above the `limit`, a button shows up to `showMoreLimit` values,
+ * then back to `limit`.
+ */
+const AlgoliaRefinementList = ({
+    attribute,
+    title,
+    sortBy,
+    operator,
+    limit = 10,
+    showMoreLimit,
+    searchable = false,
+    renderItem,
+    listComponent: List = Box
+}) => {
+    const intl = useIntl()
+    const [facetQuery, setFacetQuery] = useState('')
+    const showMore = showMoreLimit > limit
+    const {
+        items,
+        refine,
+        searchForItems,
+        isFromSearch,
+        canToggleShowMore,
+        isShowingMore,
+        toggleShowMore
+    } = useRefinementList({
+        attribute,
+        operator,
+        limit,
+        showMore,
+        ...(showMore && {showMoreLimit}),
+        ...(sortBy && {sortBy})
+    })
+
+    const onSearchChange = ({target}) => {
+        setFacetQuery(target.value)
+        searchForItems(target.value)
+    }
+
+    // Refining a value found by the search resets the search, as the `RefinementList` widget does
+    const refineItem = (value) => {
+        if (isFromSearch) {
+            setFacetQuery('')
+        }
+        refine(value)
+    }
+
+    // The facet is hidden without values, unless they are filtered by a search
+    if (!items.length && !isFromSearch) {
+        return null
+    }
+
+    return (
+        <AccordionItem>
+            <h2>
+                <AccordionButton>
+                    <Box as="span" flex="1" textAlign="left">
+                        {title}
+                    </Box>
+                    <AccordionIcon />
+                </AccordionButton>
+            </h2>
+            <AccordionPanel pb={4}>
+                <AlgoliaRefinementsContainer attributes={[attribute]}>
+                    {searchable && (
+                        <InputGroup size="sm" marginBottom={2}>
+                            <InputLeftElement pointerEvents="none">
+                                <SearchIcon boxSize={4} />
+                            </InputLeftElement>
+                            <Input
+                                type="search"
+                                placeholder={intl.formatMessage(messages.search, {title})}
+                                aria-label={intl.formatMessage(messages.search, {title})}
+                                autoComplete="off"
+                                spellCheck={false}
+                                maxLength={512}
+                                value={facetQuery}
+                                onChange={onSearchChange}
+                            />
+                        </InputGroup>
+                    )}
+                    {isFromSearch && !items.length ? (
+                        <Text fontSize="sm" color="gray.600">
+                            {intl.formatMessage(messages.noResults)}
+                        </Text>
+                    ) : (
+                        <List>{items.map((item) => renderItem({item, refine: refineItem}))}</List>
+                    )}
+                    {canToggleShowMore && (
+                        <Button
+                            variant="link"
+                            size="sm"
+                            color="blue.600"
+                            marginTop={2}
+                            onClick={toggleShowMore}
+                        >
+                            {intl.formatMessage(
+                                isShowingMore ? messages.showLess : messages.showMore
+                            )}
+                        </Button>
+                    )}
+                </AlgoliaRefinementsContainer>
+            </AccordionPanel>
+        </AccordionItem>
+    )
+}
+
+AlgoliaRefinementList.propTypes = {
+    attribute: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    sortBy: PropTypes.arrayOf(PropTypes.string),
+    operator: PropTypes.oneOf(['and', 'or']),
+    limit: PropTypes.number,
+    showMoreLimit: PropTypes.number,
+    searchable: PropTypes.bool,
+    /**
+     * Renders a facet value, called with `{item, refine}`. The element needs a `key`.
+     */
+    renderItem: PropTypes.func.isRequired,
+    /**
+     * The component wrapping the values, e.g. a `VStack`.
+     */
+    listComponent: PropTypes.elementType
+}
+
+export default AlgoliaRefinementList
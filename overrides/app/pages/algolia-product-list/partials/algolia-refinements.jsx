@@ -0,0 +1,125 @@
+import React from 'react'
+import {Accordion, Box} from '@chakra-ui/react'
+import {defineMessages, useIntl} from 'react-intl'
+import {useInstantSearch} from 'react-instantsearch'
+import PropTypes from 'prop-types'
+import AlgoliaHierarchicalRefinements from './algolia-hierarchical-refinements'
+import AlgoliaColorRefinements from './algolia-color-refinements'
+import AlgoliaCheckboxRefinements from './algolia-checkbox-refinements'
+import AlgoliaRangeRefinements from './algolia-range-refinements'
+import AlgoliaRadioRefinements from './algolia-radio-refinements'
+import AlgoliaRatingRefinements from './algolia-rating-refinements'
+import AlgoliaToggleRefinement from './algolia-toggle-refinement'
+import {useAlgolia} from '../../../hooks/use-algolia'
+import {getCurrencySymbol} from '../../../utils/algolia-utils'
+
+/**
+ * The refinement widgets, keyed by the `type` of the facets of `algolia-config.json`.
+ * Each widget gets the properties of its facet (`attribute` or `attributes`, `sortBy`, `limit`,
+ * `showMoreLimit`, `searchable`, `operator`, `items`, `on`, `max`) and its translated `title`.
+ */
+export const refinementWidgets = {
+    hierarchical: AlgoliaHierarchicalRefinements,
+    color: AlgoliaColorRefinements,
+    checkbox: AlgoliaCheckboxRefinements,
+    range: AlgoliaRangeRefinements,
+    radio: AlgoliaRadioRefinements,
+    rating: AlgoliaRatingRefinements,
+    toggle: AlgoliaToggleRefinement
+}
+
+// The titles of the default facets. The titles of other facets are translated like any other
+// message, with their `defaultTitle` as the default message.
+const messages = defineMessages({
+    category: {id: 'algolia_facets.title.category', defaultMessage: 'Category'},
+    color: {id: 'algolia_facets.title.color', defaultMessage: 'Color'},
+    size: {id: 'algolia_facets.title.size', defaultMessage: 'Size'},
+    price: {id: 'algolia_facets.title.price', defaultMessage: 'Price ({currency})'},
+    brand: {id: 'algolia_facets.title.brand', defaultMessage: 'Brand'},
+    inStock: {id: 'algolia_facets.title.in_stock', defaultMessage: 'In stock only'},
+    rating: {id: 'algolia_facets.title.rating', defaultMessage: 'Rating'}
+})
+const messagesById = Object.fromEntries(
+    Object.values(messages).map((message) => [message.id, message])
+)
+
+/**
+ * Returns the function translating the title of a facet, see `resolveAlgoliaFacets`.
+ *
+ * @returns {Function} A function taking a facet and returning its title.
+ */
+export const useFacetTitle = () => {
+    const intl = useIntl()
+    const {currency} = useAlgolia()
+    const currencySymbol = getCurrencySymbol(currency, intl.locale)
+
+    return ({title, defaultTitle}) =>
+        intl.formatMessage(
+            messagesById[title] || {id: title, defaultMessage: defaultTitle || title},
+            {currency: currencySymbol}
+        )
+}
+
+const getFacetAttribute = (facet) => facet.attribute || facet.attributes[0]
+
+/**
+ * Renders the refinement widgets of the facets of a product listing page. See
+ * `resolveAlgoliaFacets`.
+ *
+ * The facets displayed, and their order, are those of the `renderingContent.facetOrdering` of the
+ * results, set in the Algolia dashboard or by a rule, e.g. for a query or a category filter. A
+ * facet is listed by its attribute, the first level for a hierarchical facet, and must be
+ * configured to be displayed. Without facet ordering, the facets keep the order of the
+ * configuration.
+ *
+ * The widgets of every configured facet stay mounted, the facets that are not displayed are only
+ * hidden: the widgets apply the refinements of the URL to the first search, e.g. the search of
+ * the server, before any facet ordering is known.
+ */
+const AlgoliaRefinements = ({facets}) => {
+    const formatTitle = useFacetTitle()
+    const {results} = useInstantSearch()
+    const supportedFacets = facets.filter(({type}) => refinementWidgets[type])
+
+    const order = results?.renderingContent?.facetOrdering?.facets?.order || []
+    const getPosition = (facet) => {
+        const position = order.indexOf(getFacetAttribute(facet))
+        return position === -1 ? order.length : position
+    }
+    const isDisplayed = (facet) => !order.length || order.includes(getFacetAttribute(facet))
+    const orderedFacets = [...supportedFacets].sort((a, b) => getPosition(a) - getPosition(b))
+
+    return (
+        <Accordion allowMultiple>
+            {orderedFacets.map((facet) => {
+                const {type, title, defaultTitle, ...widgetProps} = facet
+                const RefinementWidget = refinementWidgets[type]
+                return (
+                    <Box
+                        key={facet.attribute || facet.attributes.join()}
+                        display={isDisplayed(facet) ? undefined : 'none'}
+                    >
+                        <RefinementWidget
+                            {...widgetProps}
+                            title={formatTitle({title, defaultTitle})}
+                        />
+                    </Box>
+                )
+            })}
+        </Accordion>
+    )
+}
+
+AlgoliaRefinements.propTypes = {
+    facets: PropTypes.arrayOf(
+        PropTypes.shape({
+            type: PropTypes.string.isRequired,
+            attribute: PropTypes.string,
+            attributes: PropTypes.arrayOf(PropTypes.string),
+            title: PropTypes.string.isRequired,
+            defaultTitle: PropTypes.string
+        })
+    ).isRequired
+}
+
+export default AlgoliaRefinements
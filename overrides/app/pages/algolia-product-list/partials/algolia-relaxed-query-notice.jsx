@@ -0,0 +1,61 @@
+import React from 'react'
+import {useIntl} from 'react-intl'
+import {useInstantSearch} from 'react-instantsearch'
+import {Box, Text} from '@salesforce/retail-react-app/app/components/shared/ui'
+
+/**
+ * Returns the query a search was relaxed to, from the `queryAfterRemoval` of its results, where
+ * the removed words are emphasized, e.g. `summer` for `summer <em>dreses</em>`.
+ *
+ * @param {Object} [results] - The results of the search.
+ * @returns {string|undefined} The relaxed query, if words were removed.
+ */
+export const getRelaxedQuery = (results) => {
+    const queryAfterRemoval = results?.queryAfterRemoval
+    if (!queryAfterRemoval?.includes('<em>')) {
+        return undefined
+    }
+
+    return queryAfterRemoval
+        .replace(/<em>.*?<\/em>/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+}
+
+/**
+ * Tells the shopper that the products are those of a relaxed query, when the words of a query
+ * without results were removed, see `productList.removeWordsIfNoResults`.
+ */
+const AlgoliaRelaxedQueryNotice = () => {
+    const intl = useIntl()
+    const {results} = useInstantSearch()
+    const relaxedQuery = getRelaxedQuery(results)
+
+    if (!relaxedQuery) {
+        return null
+    }
+
+    return (
+        <Box
+            role="status"
+            marginBottom={6}
+            padding={4}
+            backgroundColor="gray.50"
+            borderLeft="4px solid"
+            borderColor="blue.600"
+        >
+            <Text>
+                {intl.formatMessage(
+                    {
+                        id: 'algolia_product_list.info.relaxed_query',
+                        defaultMessage:
+                            'No results for "{query}". Showing results for "{relaxedQuery}" instead.'
+                    },
+                    {query: results.query, relaxedQuery}
+                )}
+            </Text>
+        </Box>
+    )
+}
+
+export default AlgoliaRelaxedQueryNotice
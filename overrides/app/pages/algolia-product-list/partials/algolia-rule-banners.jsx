@@ -0,0 +1,119 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {useQueryRules} from 'react-instantsearch'
+import {
+    AspectRatio,
+    Box,
+    Button,
+    Heading,
+    Image,
+    Stack,
+    Text
+} from '@salesforce/retail-react-app/app/components/shared/ui'
+import Link from '@salesforce/retail-react-app/app/components/link'
+import {getBanners} from '../../../utils/algolia-rules'
+
+// The paths of the storefront are opened by the app, the other URLs by the browser
+const getLinkProps = (href) => (href.startsWith('/') ? {as: Link, to: href} : {as: 'a', href})
+
+/**
+ * Renders a banner of a rule: a hero image with its texts above the products, or a tile among the
+ * products.
+ */
+const RuleBanner = ({banner}) => {
+    const {image, title, subtitle, href, linkText, position} = banner
+    const isTile = position === 'grid'
+
+    const content = (
+        <Stack spacing={2}>
+            {title && (
+                <Heading as="h2" fontSize={isTile ? 'md' : '2xl'}>
+                    {title}
+                </Heading>
+            )}
+            {subtitle && <Text fontSize={isTile ? 'sm' : 'md'}>{subtitle}</Text>}
+            {href && linkText && (
+                <Box>
+                    <Button {...getLinkProps(href)} size="sm" variant={isTile ? 'link' : 'solid'}>
+                        {linkText}
+                    </Button>
+                </Box>
+            )}
+        </Stack>
+    )
+
+    if (isTile) {
+        return (
+            <Stack spacing={3}>
+                {image && (
+                    <AspectRatio ratio={1}>
+                        <Image src={image} alt={title || ''} objectFit="cover" />
+                    </AspectRatio>
+                )}
+                {content}
+            </Stack>
+        )
+    }
+
+    return (
+        <Box
+            position="relative"
+            overflow="hidden"
+            minHeight={{base: 40, md: 56}}
+            display="flex"
+            alignItems="flex-end"
+            padding={{base: 4, md: 8}}
+            backgroundColor="gray.100"
+            backgroundImage={image && `url(${image})`}
+            backgroundSize="cover"
+            backgroundPosition="center"
+            color={image ? 'white' : 'black'}
+            textShadow={image ? '0 1px 4px rgba(0, 0, 0, 0.6)' : undefined}
+        >
+            {content}
+        </Box>
+    )
+}
+
+RuleBanner.propTypes = {
+    banner: PropTypes.shape({
+        image: PropTypes.string,
+        title: PropTypes.string,
+        subtitle: PropTypes.string,
+        href: PropTypes.string,
+        linkText: PropTypes.string,
+        position: PropTypes.oneOf(['top', 'grid'])
+    }).isRequired
+}
+
+/**
+ * Renders the banners of the rules applied to the search, set in the `userData` of the rules, see
+ * `getBanners`. The `top` banners are rendered above the products, the `grid` banners as the
+ * first tiles of the grid.
+ */
+const AlgoliaRuleBanners = ({position}) => {
+    const {items} = useQueryRules()
+    const banners = getBanners(items).filter((banner) => banner.position === position)
+
+    if (!banners.length) {
+        return null
+    }
+
+    if (position === 'grid') {
+        return banners.map((banner, index) => <RuleBanner key={index} banner={banner} />)
+    }
+
+    return (
+        <Stack spacing={4} marginBottom={6}>
+            {banners.map((banner, index) => (
+                <RuleBanner key={index} banner={banner} />
+            ))}
+        </Stack>
+    )
+}
+
+AlgoliaRuleBanners.propTypes = {
+    position: PropTypes.oneOf(['top', 'grid']).isRequired
+}
+
+export default AlgoliaRuleBanners
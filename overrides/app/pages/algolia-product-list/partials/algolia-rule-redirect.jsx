@@ -0,0 +1,44 @@
+import {useEffect} from 'react'
+import PropTypes from 'prop-types'
+import {useHistory} from 'react-router-dom'
+import {useInstantSearch} from 'react-instantsearch'
+import {useServerContext} from '@salesforce/pwa-kit-react-sdk/ssr/universal/hooks'
+import {followRedirect, getRedirectUrl} from '../../../utils/algolia-rules'
+
+/**
+ * Follows the redirect of the rules applied to the search, e.g. when `/search?q=returns` is
+ * opened, see `getRedirectUrl`. Renders nothing.
+ *
+ * On the server, the page is answered with an HTTP redirect: the URL is set in the context of the
+ * static router of the page, which PWA Kit redirects to once the page is rendered. In the browser,
+ * e.g. after a search from the app, the search page is replaced in the history, so that going back
+ * does not redirect again.
+ */
+const AlgoliaRuleRedirect = ({staticContext}) => {
+    const history = useHistory()
+    const {res} = useServerContext()
+    const {results} = useInstantSearch()
+    const redirectUrl = getRedirectUrl(results)
+
+    if (res && redirectUrl && staticContext) {
+        staticContext.url = redirectUrl
+        staticContext.status = 302
+    }
+
+    useEffect(() => {
+        if (redirectUrl) {
+            followRedirect(redirectUrl, (path) => history.replace(path))
+        }
+    }, [redirectUrl, history])
+
+    return null
+}
+
+AlgoliaRuleRedirect.propTypes = {
+    /**
+     * The context of the static router of the server, the `staticContext` of the page.
+     */
+    staticContext: PropTypes.object
+}
+
+export default AlgoliaRuleRedirect
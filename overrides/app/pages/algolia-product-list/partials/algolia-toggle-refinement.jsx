@@ -0,0 +1,46 @@
+import React from 'react'
+import {Box, Switch, AccordionItem, FormControl, FormLabel} from '@chakra-ui/react'
+import {useToggleRefinement} from 'react-instantsearch'
+import PropTypes from 'prop-types'
+
+/**
+ * Renders a switch filtering the products on a value of an attribute, `true` by default, e.g.
+ * `in_stock`. The attribute can have other values, e.g. `{"attribute": "badge", "on": "new"}`.
+ * The `on` value is a facet value: the existence of an attribute, e.g. `promotionalPrice`, or a
+ * numeric condition need a flag computed at indexing, e.g. `on_sale`.
+ */
+const AlgoliaToggleRefinement = ({attribute, title, on = true}) => {
+    const {value, canRefine, refine} = useToggleRefinement({attribute, on})
+
+    return (
+        <>
+            {(canRefine || value.isRefined) && (
+                <AccordionItem>
+                    <FormControl display="flex" alignItems="center" px={4} py={2}>
+                        <FormLabel
+                            htmlFor={`toggle-${attribute}`}
+                            flex="1"
+                            marginBottom={0}
+                            fontWeight="normal"
+                        >
+                            <Box as="span">{title}</Box>
+                        </FormLabel>
+                        <Switch
+                            id={`toggle-${attribute}`}
+                            isChecked={value.isRefined}
+                            onChange={() => refine(value)}
+                        />
+                    </FormControl>
+                </AccordionItem>
+            )}
+        </>
+    )
+}
+
+AlgoliaToggleRefinement.propTypes = {
+    attribute: PropTypes.string,
+    title: PropTypes.string,
+    on: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.bool])
+}
+
+export default AlgoliaToggleRefinement
@@ -1,40 +1,96 @@
-import React from 'react'
-import {InstantSearch, useInstantSearch, Configure} from 'react-instantsearch'
+import React, {createContext, useContext} from 'react'
+import {
+    InstantSearch,
+    InstantSearchSSRProvider,
+    useInstantSearch,
+    Configure
+} from 'react-instantsearch'
 import PropTypes from 'prop-types'
 
+// The keys of the UI state of the page that the refinement widgets do not manage. The page is not
+// kept: it goes back to the first one with the new refinements.
+const PAGE_UI_STATE_KEYS = ['sortBy', 'hitsPerPage']
+
+const pickUiState = (indexUiState = {}, keys) =>
+    Object.fromEntries(Object.entries(indexUiState).filter(([key]) => keys.includes(key)))
+
+const omitUiState = (indexUiState = {}, keys) =>
+    Object.fromEntries(Object.entries(indexUiState).filter(([key]) => !keys.includes(key)))
+
+const ApplyUiStateContext = createContext()
+
+/**
+ * Returns the function applying the refinements staged in `AlgoliaUiStateProvider` to the search
+ * of the page. It must be used within `AlgoliaUiStateProvider`.
+ *
+ * @returns {Function} A function taking the UI state of the staged search.
+ */
+export const useApplyUiState = () => {
+    const apply = useContext(ApplyUiStateContext)
+    if (apply === undefined) {
+        throw new Error('useApplyUiState must be used within AlgoliaUiStateProvider')
+    }
+
+    return apply
+}
+
+/**
+ * Renders its children, e.g. the refinement widgets of the filter modal, in their own
+ * `InstantSearch`, starting from the refinements of the page. The refinements are staged: the
+ * search of the page only gets them when they are applied, see `useApplyUiState`, and they are
+ * discarded when the provider is unmounted.
+ *
+ * The staged search has no routing: the URL is only written by the search of the page, once the
+ * refinements are applied.
+ */
 const AlgoliaUiStateProvider = ({
     indexName,
     children,
     searchClient,
-    syncWithRootUiState = true,
-    inituiState,
     filters,
-    query
+    query,
+    removeWordsIfNoResults
 }) => {
-    const {setUiState: setRootUiState} = useInstantSearch()
+    const {uiState: rootUiState, setUiState: setRootUiState} = useInstantSearch()
 
-    const handleStateChange = ({uiState, setUiState}) => {
-        if (syncWithRootUiState) {
-            setUiState(uiState)
-            setRootUiState(uiState)
-        }
-    }
+    const apply = (uiState) =>
+        setRootUiState((previousUiState) => ({
+            ...previousUiState,
+            [indexName]: {
+                ...pickUiState(previousUiState[indexName], PAGE_UI_STATE_KEYS),
+                ...uiState[indexName]
+            }
+        }))
 
+    // The SSR provider of the page would make this instance reuse the instance of the page, so it
+    // gets its own, without initial results
     return (
-        <InstantSearch
-            indexName={indexName}
-            searchClient={searchClient}
-            onStateChange={handleStateChange}
-            initialUiState={inituiState}
-            routing={true}
-            future={{
-                preserveSharedStateOnUnmount: true,
-                persistHierarchicalRootCount: true
-            }}
-        >
-            <Configure query={query} filters={filters} />
-            {children}
-        </InstantSearch>
+        <ApplyUiStateContext.Provider value={apply}>
+            <InstantSearchSSRProvider initialResults={undefined}>
+                <InstantSearch
+                    indexName={indexName}
+                    searchClient={searchClient}
+                    // Read once, when the provider is mounted
+                    initialUiState={{
+                        [indexName]: omitUiState(rootUiState[indexName], [
+                            ...PAGE_UI_STATE_KEYS,
+                            'page'
+                        ])
+                    }}
+                    future={{
+                        preserveSharedStateOnUnmount: true,
+                        persistHierarchicalRootCount: true
+                    }}
+                >
+                    <Configure
+                        query={query}
+                        filters={filters}
+                        removeWordsIfNoResults={removeWordsIfNoResults}
+                    />
+                    {children}
+                </InstantSearch>
+            </InstantSearchSSRProvider>
+        </ApplyUiStateContext.Provider>
     )
 }
 
@@ -42,10 +98,9 @@ AlgoliaUiStateProvider.propTypes = {
     children: PropTypes.node,
     indexName: PropTypes.string,
     searchClient: PropTypes.object,
-    syncWithRootUiState: PropTypes.bool,
-    inituiState: PropTypes.object,
     filters: PropTypes.string,
-    query: PropTypes.string
+    query: PropTypes.string,
+    removeWordsIfNoResults: PropTypes.string
 }
 
 export default AlgoliaUiStateProvider
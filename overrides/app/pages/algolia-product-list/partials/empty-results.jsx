@@ -12,14 +12,59 @@ import {Link as RouteLink} from 'react-router-dom'
 import {defineMessage, useIntl} from 'react-intl'
 import {SearchIcon} from '@salesforce/retail-react-app/app/components/icons'
 import TrendingItems from '../../../components/algolia/recommend/trendingItems'
+import {useAlgoliaCategory} from '../../../hooks/use-algolia-category'
+import {useDidYouMean} from '../../../hooks/use-did-you-mean'
 
 const contactUsMessage = defineMessage({
     id: 'empty_search_results.link.contact_us',
     defaultMessage: 'Contact Us'
 })
 
-const EmptySearchResults = ({searchQuery, category}) => {
+/**
+ * Renders links to the searches of the query suggestions close to a query without results.
+ */
+const DidYouMean = ({searchQuery}) => {
+    const intl = useIntl()
+    const suggestions = useDidYouMean(searchQuery)
+
+    if (!suggestions.length) {
+        return null
+    }
+
+    return (
+        <Text fontSize={['md', 'md', 'lg', 'lg']} marginBottom={2}>
+            {intl.formatMessage(
+                {
+                    id: 'algolia_empty_search_results.info.did_you_mean',
+                    defaultMessage: 'Did you mean {suggestions}?'
+                },
+                {
+                    suggestions: intl.formatList(
+                        suggestions.map((suggestion) => (
+                            <Link
+                                key={suggestion}
+                                as={RouteLink}
+                                to={`/search?q=${encodeURIComponent(suggestion)}`}
+                                fontWeight="700"
+                            >
+                                {suggestion}
+                            </Link>
+                        )),
+                        {type: 'disjunction'}
+                    )
+                }
+            )}
+        </Text>
+    )
+}
+
+DidYouMean.propTypes = {
+    searchQuery: PropTypes.string.isRequired
+}
+
+const EmptySearchResults = ({searchQuery, categoryId, category: apiCategory}) => {
     const intl = useIntl()
+    const category = useAlgoliaCategory(categoryId, apiCategory)
     const [selectedColors, setSelectedColors] = useState({})
     return (
         <Flex
@@ -75,6 +120,7 @@ const EmptySearchResults = ({searchQuery, category}) => {
                             }
                         )}
                     </Text>
+                    <DidYouMean searchQuery={searchQuery} />
                     <Text fontSize={['md', 'md', 'md', 'md']} fontWeight="400">
                         <div className="aa-NoResultsAdvices aa-mt-5">
                             <ul className="aa-NoResultsAdvicesList">
@@ -99,6 +145,7 @@ const EmptySearchResults = ({searchQuery, category}) => {
 
 EmptySearchResults.propTypes = {
     searchQuery: PropTypes.string,
+    categoryId: PropTypes.string,
     category: PropTypes.object
 }
 
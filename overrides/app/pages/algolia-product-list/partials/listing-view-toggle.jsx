@@ -0,0 +1,68 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {useIntl} from 'react-intl'
+import {ButtonGroup, IconButton, createIcon} from '@chakra-ui/react'
+
+const GridIcon = createIcon({
+    displayName: 'GridIcon',
+    viewBox: '0 0 24 24',
+    path: (
+        <path fill="currentColor" d="M3 3h8v8H3V3zm10 0h8v8h-8V3zM3 13h8v8H3v-8zm10 0h8v8h-8v-8z" />
+    )
+})
+
+const ListIcon = createIcon({
+    displayName: 'ListIcon',
+    viewBox: '0 0 24 24',
+    path: (
+        <path fill="currentColor" d="M3 4h6v6H3V4zm8 1h10v4H11V5zM3 14h6v6H3v-6zm8 1h10v4H11v-4z" />
+    )
+})
+
+/**
+ * Renders the buttons switching the products between the grid and the list views, see
+ * `useListingView`.
+ */
+const ListingViewToggle = ({view, onChange}) => {
+    const intl = useIntl()
+    const buttons = [
+        {
+            value: 'grid',
+            icon: <GridIcon boxSize={5} />,
+            label: intl.formatMessage({
+                id: 'algolia_product_list.assistive_msg.grid_view',
+                defaultMessage: 'Grid view'
+            })
+        },
+        {
+            value: 'list',
+            icon: <ListIcon boxSize={5} />,
+            label: intl.formatMessage({
+                id: 'algolia_product_list.assistive_msg.list_view',
+                defaultMessage: 'List view'
+            })
+        }
+    ]
+
+    return (
+        <ButtonGroup isAttached variant="outline" size="md">
+            {buttons.map(({value, icon, label}) => (
+                <IconButton
+                    key={value}
+                    icon={icon}
+                    aria-label={label}
+                    aria-pressed={view === value}
+                    isActive={view === value}
+                    onClick={() => onChange(value)}
+                />
+            ))}
+        </ButtonGroup>
+    )
+}
+
+ListingViewToggle.propTypes = {
+    view: PropTypes.oneOf(['grid', 'list']).isRequired,
+    onChange: PropTypes.func.isRequired
+}
+
+export default ListingViewToggle
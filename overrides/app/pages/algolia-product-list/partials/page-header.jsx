@@ -15,9 +15,11 @@ import {useIntl} from 'react-intl'
 import Breadcrumb from '@salesforce/retail-react-app/app/components/breadcrumb'
 
 import {useHits, useInstantSearch} from 'react-instantsearch'
+import {useAlgoliaCategory} from '../../../hooks/use-algolia-category'
 
-const PageHeader = ({category, isLoading, searchQuery, ...otherProps}) => {
+const PageHeader = ({categoryId, category: apiCategory, isLoading, searchQuery, ...otherProps}) => {
     const intl = useIntl()
+    const category = useAlgoliaCategory(categoryId, apiCategory)
     const {results} = useHits()
     const {status} = useInstantSearch()
     const isReady = !isLoading && ['stalled', 'idle'].includes(status)
@@ -25,7 +27,9 @@ const PageHeader = ({category, isLoading, searchQuery, ...otherProps}) => {
     return (
         <Box {...otherProps} data-testid="sf-product-list-breadcrumb">
             {/* Breadcrumb */}
-            {category && <Breadcrumb categories={category.parentCategoryTree} />}
+            {category?.parentCategoryTree && (
+                <Breadcrumb categories={category.parentCategoryTree} />
+            )}
             {searchQuery && <Text>Search Results for</Text>}
             {/* Category Title */}
             <Flex>
@@ -43,6 +47,7 @@ const PageHeader = ({category, isLoading, searchQuery, ...otherProps}) => {
 }
 
 PageHeader.propTypes = {
+    categoryId: PropTypes.string,
     category: PropTypes.object,
     productSearchResult: PropTypes.object,
     isLoading: PropTypes.bool,
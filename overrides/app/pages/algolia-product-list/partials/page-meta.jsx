@@ -0,0 +1,34 @@
+import React from 'react'
+import PropTypes from 'prop-types'
+import {Helmet} from 'react-helmet'
+import {useAlgoliaCategory} from '../../../hooks/use-algolia-category'
+
+/**
+ * Renders the title and the meta tags of a category page. The title falls back to the name of
+ * the category found in the Algolia results while the category of the Shopper Products API, with
+ * its page title, description and keywords, is not loaded.
+ */
+const PageMeta = ({categoryId, category: apiCategory}) => {
+    const category = useAlgoliaCategory(categoryId, apiCategory)
+
+    if (!category) {
+        return null
+    }
+
+    return (
+        <Helmet>
+            <title>{category.pageTitle || category.name}</title>
+            {category.pageDescription && (
+                <meta name="description" content={category.pageDescription} />
+            )}
+            {category.pageKeywords && <meta name="keywords" content={category.pageKeywords} />}
+        </Helmet>
+    )
+}
+
+PageMeta.propTypes = {
+    categoryId: PropTypes.string,
+    category: PropTypes.object
+}
+
+export default PageMeta
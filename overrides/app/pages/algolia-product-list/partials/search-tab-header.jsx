@@ -1,32 +1,48 @@
-import {useHits, useInstantSearch} from 'react-instantsearch'
+import {useInstantSearch} from 'react-instantsearch'
 import {Box, Fade} from '@salesforce/retail-react-app/app/components/shared/ui'
 import React from 'react'
-import {useIntl} from 'react-intl'
+import {defineMessages, useIntl} from 'react-intl'
 import {TabList, Tab} from '@chakra-ui/react'
-import PropTypes from 'prop-types'
+import {SEARCH_TABS} from '../../../hooks/use-search-tab'
 
-const SearchTabHeader = ({isLoading, contentHitsCount}) => {
+const messages = defineMessages({
+    products: {id: 'algolia_search_tab_header.tab.products', defaultMessage: 'Products'},
+    articles: {id: 'algolia_search_tab_header.tab.articles', defaultMessage: 'Articles'},
+    faq: {id: 'algolia_search_tab_header.tab.faq', defaultMessage: 'FAQ'}
+})
+
+/**
+ * Renders the tabs of the search page, each with the number of results of its index: the
+ * products of the primary index, and the results of the content indices, whose ID is the name of
+ * their tab, see `AlgoliaContentIndex`.
+ */
+const SearchTabHeader = () => {
     const intl = useIntl()
-    const {results} = useHits()
-    const {status} = useInstantSearch()
-    const isReady = !isLoading && ['stalled', 'idle'].includes(status)
+    const {results, scopedResults, status} = useInstantSearch()
+    const isReady = ['stalled', 'idle'].includes(status)
+
+    const getNbHits = (tab) =>
+        tab === SEARCH_TABS[0]
+            ? results?.nbHits
+            : scopedResults.find(({indexId}) => indexId === tab)?.results?.nbHits
 
     return (
         <TabList>
-            <Tab>
-                Products{' '}
-                <Box sx={{marginLeft: 1}}>
-                    {isReady && <Fade in={true}>({intl.formatNumber(results.nbHits)})</Fade>}
-                </Box>
-            </Tab>
-            <Tab>Articles ({contentHitsCount})</Tab>
+            {SEARCH_TABS.map((tab) => {
+                const nbHits = getNbHits(tab)
+                return (
+                    <Tab key={tab}>
+                        {intl.formatMessage(messages[tab])}{' '}
+                        <Box sx={{marginLeft: 1}}>
+                            {isReady && nbHits !== undefined && (
+                                <Fade in={true}>({intl.formatNumber(nbHits)})</Fade>
+                            )}
+                        </Box>
+                    </Tab>
+                )
+            })}
         </TabList>
     )
 }
 
-SearchTabHeader.propTypes = {
-    isLoading: PropTypes.bool,
-    contentHitsCount: PropTypes.number
-}
-
 export default SearchTabHeader
@@ -0,0 +1,240 @@
+/*
+ * Express router forwarding the Algolia search, recommend and insights requests of the
+ * storefront, so that the browser never talks to Algolia directly nor sees the search API key.
+ * It is only mounted when `proxy.enabled` is set in `config/algolia-config.json`.
+ */
+
+import express from 'express'
+import {getIndexNames, getSearchApiKey} from './utils'
+
+const INSIGHTS_URL = 'https://insights.algolia.io/1/events'
+
+/**
+ * The search parameters the storefront is allowed to send. Anything else is rejected, so the
+ * proxy cannot be used to e.g. retrieve the ranking info or disable the query rules.
+ */
+const ALLOWED_PARAMETERS = new Set([
+    // Query and pagination
+    'query',
+    'page',
+    'hitsPerPage',
+    'offset',
+    'length',
+    // Filtering
+    'filters',
+    'facetFilters',
+    'numericFilters',
+    'optionalFilters',
+    'tagFilters',
+    'sumOrFiltersScores',
+    // Faceting
+    'facets',
+    'maxValuesPerFacet',
+    'facetingAfterDistinct',
+    'sortFacetValuesBy',
+    'facetQuery',
+    'maxFacetHits',
+    // Attributes and highlighting
+    'attributesToRetrieve',
+    'attributesToHighlight',
+    'attributesToSnippet',
+    'highlightPreTag',
+    'highlightPostTag',
+    'snippetEllipsisText',
+    // Relevance
+    'distinct',
+    'ruleContexts',
+    'optionalWords',
+    'removeWordsIfNoResults',
+    // Analytics and personalization
+    'analytics',
+    'analyticsTags',
+    'clickAnalytics',
+    'userToken',
+    'enablePersonalization'
+])
+
+/**
+ * Error answered to the browser with a 4xx status, in the format of the Algolia API errors
+ * so that the Algolia clients report its message.
+ */
+class AlgoliaProxyError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'AlgoliaProxyError'
+        this.status = status
+    }
+}
+
+const parseBody = (req) => {
+    // The Algolia clients send JSON with a text content type to avoid CORS preflight requests.
+    try {
+        return JSON.parse(req.body)
+    } catch (error) {
+        throw new AlgoliaProxyError('The request body is not valid JSON.')
+    }
+}
+
+/**
+ * Forwards a request to Algolia with the credentials of the server and pipes the response back.
+ *
+ * The responses are never cached by the CDN: the Algolia clients send POST requests, which CDNs
+ * do not cache. The browser caches them in the response cache of the clients, see `cache.ts`.
+ *
+ * @param {Object} res - The Express response.
+ * @param {string} url - The Algolia URL.
+ * @param {Object} body - The request body.
+ * @param {Object} headers - The Algolia credentials and agent.
+ */
+const forward = async (res, url, body, headers) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {...headers, 'Content-Type': 'application/json'},
+        body: JSON.stringify(body)
+    })
+
+    res.status(response.status)
+    res.set('Content-Type', response.headers.get('content-type') || 'application/json')
+    res.set('Cache-Control', 'no-store')
+    res.send(await response.text())
+}
+
+/**
+ * Creates the Express router of the Algolia proxy. It answers:
+ *  - `POST /1/indexes/*\/queries`: the searches of InstantSearch and Autocomplete
+ *  - `POST /1/indexes/:indexName/facets/:facetName/query`: the searches for facet values
+ *  - `POST /1/indexes/*\/recommendations`: the Recommend requests
+ *  - `POST /insights/1/events`: the Insights events
+ *
+ * @param {Object} config - The app configuration (`getConfig().app`).
+ * @returns {Object} The Express router, to mount on the proxy path.
+ * @throws {AlgoliaConfigError} If the search API key is not set.
+ */
+export const createAlgoliaProxy = ({algolia: algoliaConfig, sites}) => {
+    const apiKey = getSearchApiKey()
+    const {appId} = algoliaConfig
+    const searchHost = `https://${appId}-dsn.algolia.net`
+    const allowedIndices = new Set(getIndexNames(algoliaConfig, sites))
+
+    // With secured API keys, the results depend on the shopper: the requests are sent with the
+    // key of the shopper.
+    const useSecuredApiKeys = Boolean(algoliaConfig.securedApiKeys?.enabled)
+
+    const checkIndex = (indexName) => {
+        if (!allowedIndices.has(indexName)) {
+            throw new AlgoliaProxyError(`Index "${indexName}" is not allowed.`, 403)
+        }
+    }
+    const checkParameters = (parameters = {}) => {
+        const parameter = Object.keys(parameters).find((key) => !ALLOWED_PARAMETERS.has(key))
+        if (parameter) {
+            throw new AlgoliaProxyError(`Parameter "${parameter}" is not allowed.`, 403)
+        }
+    }
+    const getShopperApiKey = (req) => {
+        const shopperApiKey = req.query['x-algolia-api-key'] || req.get('x-algolia-api-key')
+        if (!shopperApiKey) {
+            throw new AlgoliaProxyError('The secured API key is missing.', 401)
+        }
+        return shopperApiKey
+    }
+    const getHeaders = (req, {forwardShopperApiKey = useSecuredApiKeys} = {}) => {
+        // The search clients send the agent in lower case, search-insights does not.
+        const agent = req.query['x-algolia-agent'] || req.query['X-Algolia-Agent']
+        return {
+            'X-Algolia-Application-Id': appId,
+            'X-Algolia-API-Key': forwardShopperApiKey ? getShopperApiKey(req) : apiKey,
+            ...(agent && {'X-Algolia-Agent': agent})
+        }
+    }
+
+    // Wraps a route so that the errors are answered in the format of the Algolia API.
+    const handle = (route) => async (req, res) => {
+        try {
+            await route(req, res)
+        } catch (error) {
+            if (error instanceof AlgoliaProxyError) {
+                res.status(error.status).json({message: error.message, status: error.status})
+                return
+            }
+            console.error('Algolia proxy error:', error)
+            res.status(502).json({message: 'Algolia could not be reached.', status: 502})
+        }
+    }
+
+    const router = express.Router()
+    router.use(express.text({type: () => true}))
+
+    router.post(
+        '/1/indexes/*/queries',
+        handle(async (req, res) => {
+            const {requests = []} = parseBody(req)
+            requests.forEach(({indexName, params = ''}) => {
+                checkIndex(indexName)
+                checkParameters(Object.fromEntries(new URLSearchParams(params)))
+            })
+
+            await forward(res, `${searchHost}/1/indexes/*/queries`, {requests}, getHeaders(req))
+        })
+    )
+
+    router.post(
+        '/1/indexes/:indexName/facets/:facetName/query',
+        handle(async (req, res) => {
+            const {indexName, facetName} = req.params
+            const body = parseBody(req)
+            checkIndex(indexName)
+            checkParameters(body)
+
+            await forward(
+                res,
+                `${searchHost}/1/indexes/${encodeURIComponent(
+                    indexName
+                )}/facets/${encodeURIComponent(facetName)}/query`,
+                body,
+                getHeaders(req)
+            )
+        })
+    )
+
+    router.post(
+        '/1/indexes/*/recommendations',
+        handle(async (req, res) => {
+            const {requests = []} = parseBody(req)
+            requests.forEach(({indexName, queryParameters, fallbackParameters}) => {
+                checkIndex(indexName)
+                checkParameters(queryParameters)
+                checkParameters(fallbackParameters)
+            })
+
+            await forward(
+                res,
+                `${searchHost}/1/indexes/*/recommendations`,
+                {requests},
+                getHeaders(req)
+            )
+        })
+    )
+
+    router.post(
+        '/insights/1/events',
+        handle(async (req, res) => {
+            const {events = []} = parseBody(req)
+            events.filter((event) => event.index).forEach((event) => checkIndex(event.index))
+
+            // Events are sent with the key of the server, as they do not return any record
+            await forward(
+                res,
+                INSIGHTS_URL,
+                {events},
+                getHeaders(req, {forwardShopperApiKey: false})
+            )
+        })
+    )
+
+    router.all('*', (req, res) => {
+        res.status(404).json({message: 'Not found.', status: 404})
+    })
+
+    return router
+}
@@ -0,0 +1,103 @@
+/*
+ * Express handler issuing short-lived secured API keys to the shoppers, restricted to the
+ * indices of their site and to the records of their login state.
+ * It is only mounted when `securedApiKeys.enabled` is set in `config/algolia-config.json`.
+ */
+
+import crypto from 'crypto'
+import {createSlasTokenVerifier, SlasTokenError} from './slas-token'
+import {getIndexNames, getSearchApiKey} from './utils'
+
+// The validity of the secured API keys (defaults to 1 hour)
+const DEFAULT_VALIDITY = 3600
+
+// The login states of the shoppers, named after the SFCC customer groups of every guest and every
+// registered shopper. The other customer groups of a shopper are not part of their SLAS access
+// token, so the keys are only restricted by login state.
+const GUEST_LOGIN_STATE = 'Unregistered'
+const REGISTERED_LOGIN_STATE = 'Registered'
+
+/**
+ * Generates a secured API key, the way the `generateSecuredApiKey` method of the Algolia
+ * clients does: the restrictions are signed with the parent key, so they cannot be altered.
+ *
+ * @param {string} parentApiKey - The search API key.
+ * @param {Object} restrictions - The restrictions, e.g. `{filters, restrictIndices, validUntil}`.
+ * @returns {string} The secured API key.
+ */
+const generateSecuredApiKey = (parentApiKey, restrictions) => {
+    const queryParameters = Object.entries(restrictions)
+        .map(
+            ([key, value]) =>
+                `${key}=${encodeURIComponent(
+                    typeof value === 'object' ? JSON.stringify(value) : value
+                )}`
+        )
+        .join('&')
+    const hmac = crypto.createHmac('sha256', parentApiKey).update(queryParameters).digest('hex')
+
+    return Buffer.from(hmac + queryParameters).toString('base64')
+}
+
+const sendError = (res, status, message) => res.status(status).json({message, status})
+
+/**
+ * Creates the Express handler answering `{apiKey, validUntil}` to a request authenticated with
+ * the SLAS access token of the shopper (`Authorization: Bearer <token>`).
+ *
+ * The key is restricted to:
+ *  - the indices of the site of the token (`restrictIndices`)
+ *  - the `securedApiKeys.filters` of the configuration, in which `{loginState}` and `{siteId}`
+ *    are replaced with the login state and the site of the shopper (`filters`)
+ *  - the ID of the customer, used as the user token for analytics (`userToken`)
+ *
+ * @param {Object} config - The app configuration (`getConfig().app`).
+ * @returns {Function} The Express handler.
+ * @throws {AlgoliaConfigError} If the search API key is not set.
+ */
+export const createSecuredApiKeyHandler = ({algolia: algoliaConfig, sites, commerceAPI}) => {
+    const parentApiKey = getSearchApiKey()
+    const verifySlasToken = createSlasTokenVerifier(commerceAPI.parameters)
+    const {validity = DEFAULT_VALIDITY, filters} = algoliaConfig.securedApiKeys
+
+    return async (req, res) => {
+        // Each key belongs to a shopper and must never be cached
+        res.set('Cache-Control', 'no-store')
+
+        const [, token] = (req.get('Authorization') || '').match(/^Bearer (.+)$/) || []
+        if (!token) {
+            return sendError(res, 401, 'The SLAS access token is missing.')
+        }
+
+        let shopper
+        try {
+            shopper = await verifySlasToken(token)
+        } catch (error) {
+            if (error instanceof SlasTokenError) {
+                return sendError(res, 401, error.message)
+            }
+            console.error('Secured API key error:', error)
+            return sendError(res, 502, 'The SLAS access token could not be verified.')
+        }
+
+        const site = sites.find(({id}) => id === shopper.siteId)
+        if (!site) {
+            return sendError(res, 403, `Site "${shopper.siteId}" is not configured.`)
+        }
+
+        const loginState = shopper.isRegistered ? REGISTERED_LOGIN_STATE : GUEST_LOGIN_STATE
+        const validUntil = Math.floor(Date.now() / 1000) + validity
+        const apiKey = generateSecuredApiKey(parentApiKey, {
+            ...(filters && {
+                filters: filters
+                    .replace(/\{loginState\}/g, loginState)
+                    .replace(/\{siteId\}/g, site.id)
+            }),
+            restrictIndices: getIndexNames(algoliaConfig, [site]).join(','),
+            userToken: shopper.customerId,
+            validUntil
+        })
+
+        res.json({apiKey, validUntil})
+    }
+}
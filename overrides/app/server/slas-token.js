@@ -0,0 +1,129 @@
+/*
+ * Verification of the SLAS access tokens of the shoppers, so that the SSR server can trust the
+ * customer and the site they claim.
+ */
+
+import crypto from 'crypto'
+
+// The SLAS signing keys rarely change, they are fetched again at most every 15 minutes.
+const JWKS_CACHE_TIME = 15 * 60 * 1000
+
+// A token signed with an unknown key fetches the keys again, at most once a minute: a made-up key
+// ID cannot make the server fetch them on every request.
+const JWKS_REFETCH_INTERVAL = 60 * 1000
+
+/**
+ * Error thrown when a SLAS access token is malformed, expired or not signed by SLAS.
+ */
+export class SlasTokenError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'SlasTokenError'
+    }
+}
+
+const decodeSegment = (segment) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+    } catch (error) {
+        throw new SlasTokenError('The SLAS access token is malformed.')
+    }
+}
+
+/**
+ * Parses the `isb` (identity subject binding) claim of a SLAS access token, e.g.
+ * `uido:ecom::upn:Guest::uidn:Guest User::gcid:abcd::rcid:efgh::chid:RefArch`.
+ *
+ * @param {string} isb - The `isb` claim.
+ * @returns {Object} The claim values keyed by name, e.g. `{uido: 'ecom', chid: 'RefArch'}`.
+ */
+const parseIsb = (isb = '') =>
+    Object.fromEntries(
+        isb.split('::').map((entry) => {
+            const separatorIndex = entry.indexOf(':')
+            return [entry.slice(0, separatorIndex), entry.slice(separatorIndex + 1)]
+        })
+    )
+
+/**
+ * Creates a function verifying the SLAS access tokens against the public keys of SLAS.
+ *
+ * @param {Object} parameters - The Commerce API parameters (`config.app.commerceAPI.parameters`).
+ * @returns {Function} An async function taking an access token and returning the shopper:
+ * `{customerId, isRegistered, siteId}`. It throws a `SlasTokenError` if the token is invalid.
+ */
+export const createSlasTokenVerifier = ({shortCode, organizationId}) => {
+    const jwksUrl = `https://${shortCode}.api.commercecloud.salesforce.com/shopper/auth/v1/organizations/${organizationId}/oauth2/jwks`
+    // `fetchedAt` is the time of the last attempt, so that a failing fetch is not retried on
+    // every request either
+    let jwks = {keys: [], fetchedAt: 0}
+    let pendingFetch = null
+
+    // The requests arriving while the keys are fetched wait for the same fetch
+    const fetchJwks = () => {
+        if (!pendingFetch) {
+            jwks = {...jwks, fetchedAt: Date.now()}
+            pendingFetch = fetch(jwksUrl)
+                .then(async (response) => {
+                    if (!response.ok) {
+                        throw new Error(
+                            `Could not fetch the SLAS public keys (HTTP ${response.status}).`
+                        )
+                    }
+                    jwks = {...jwks, keys: (await response.json()).keys}
+                })
+                .finally(() => {
+                    pendingFetch = null
+                })
+        }
+        return pendingFetch
+    }
+
+    const getPublicKey = async (kid) => {
+        const timeSinceFetch = Date.now() - jwks.fetchedAt
+        const isKnown = jwks.keys.some((key) => key.kid === kid)
+        if (
+            pendingFetch ||
+            timeSinceFetch > JWKS_CACHE_TIME ||
+            (!isKnown && timeSinceFetch > JWKS_REFETCH_INTERVAL)
+        ) {
+            await fetchJwks()
+        }
+
+        const jwk = jwks.keys.find((key) => key.kid === kid)
+        if (!jwk) {
+            throw new SlasTokenError('The SLAS access token is signed with an unknown key.')
+        }
+        return crypto.createPublicKey({key: jwk, format: 'jwk'})
+    }
+
+    return async (token) => {
+        const [header, payload, signature] = token.split('.')
+        if (!signature) {
+            throw new SlasTokenError('The SLAS access token is malformed.')
+        }
+
+        const {kid} = decodeSegment(header)
+        const publicKey = await getPublicKey(kid)
+        const isValid = crypto.verify(
+            'sha256',
+            Buffer.from(`${header}.${payload}`),
+            // SLAS signs with ES256, whose signatures are not DER encoded.
+            publicKey.asymmetricKeyType === 'ec'
+                ? {key: publicKey, dsaEncoding: 'ieee-p1363'}
+                : publicKey,
+            Buffer.from(signature, 'base64url')
+        )
+        if (!isValid) {
+            throw new SlasTokenError('The SLAS access token signature is invalid.')
+        }
+
+        const claims = decodeSegment(payload)
+        if (!claims.exp || claims.exp * 1000 < Date.now()) {
+            throw new SlasTokenError('The SLAS access token has expired.')
+        }
+
+        const {gcid, rcid, chid} = parseIsb(claims.isb)
+        return {customerId: rcid || gcid, isRegistered: Boolean(rcid), siteId: chid}
+    }
+}
@@ -0,0 +1,56 @@
+/*
+ * Helpers shared by the Algolia routes of the SSR server.
+ */
+
+import {resolveAlgoliaIndices} from '../utils/algolia-utils'
+import {AlgoliaConfigError} from '../utils/validate-algolia-config'
+
+/**
+ * Returns the search API key the server uses to call Algolia or to generate secured API keys.
+ *
+ * The key must stay on the server when the proxy or the secured API keys are enabled, so it is
+ * only read from the `ALGOLIA_SEARCH_API_KEY` environment variable: `config.app.algolia` has no
+ * key then, see config/default.js, and a key of `algolia-config.json` is never used.
+ *
+ * @returns {string} The search API key.
+ * @throws {AlgoliaConfigError} If the key is not set.
+ */
+export const getSearchApiKey = () => {
+    const apiKey = process.env.ALGOLIA_SEARCH_API_KEY
+    if (!apiKey) {
+        throw new AlgoliaConfigError([
+            '"apiKey" is missing. Expected the ALGOLIA_SEARCH_API_KEY environment variable to be set when "proxy.enabled" or "securedApiKeys.enabled" is true.'
+        ])
+    }
+
+    return apiKey
+}
+
+/**
+ * Returns the names of every index the storefront can query on the given sites, i.e. the
+ * indices of the configuration resolved for each site and each of its locales.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @param {Object[]} sites - The sites, as in `config/sites.js`.
+ * @returns {string[]} The index names, without duplicates.
+ */
+export const getIndexNames = (algoliaConfig, sites) => {
+    const indexNames = sites.flatMap((site) =>
+        site.l10n.supportedLocales.flatMap((locale) => {
+            const indices = resolveAlgoliaIndices(algoliaConfig, {
+                siteId: site.id,
+                localeId: locale.id
+            })
+            return [
+                indices.primary.value,
+                ...indices.replicas.map((replica) => replica.value),
+                indices.querySuggestions,
+                indices.contents,
+                indices.faq,
+                indices.categories
+            ]
+        })
+    )
+
+    return [...new Set(indexNames)]
+}
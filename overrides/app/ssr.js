@@ -12,6 +12,23 @@ import {getRuntime} from '@salesforce/pwa-kit-runtime/ssr/server/express'
 import {defaultPwaKitSecurityHeaders} from '@salesforce/pwa-kit-runtime/utils/middleware'
 import {getConfig} from '@salesforce/pwa-kit-runtime/utils/ssr-config'
 import helmet from 'helmet'
+import {validateAlgoliaConfig} from './utils/validate-algolia-config'
+import {getAlgoliaProxyPath, getSecuredApiKeyPath} from './utils/algolia-utils'
+import {createAlgoliaProxy} from './server/algolia-proxy'
+import {createSecuredApiKeyHandler} from './server/secured-api-keys'
+
+const algoliaConfig = getConfig().app.algolia
+
+// Fail fast with an actionable error if the Algolia configuration is invalid,
+// rather than crashing later on while rendering a page.
+validateAlgoliaConfig(algoliaConfig)
+
+// When the mock is enabled, the clients answer from local fixtures and never reach Algolia,
+// so neither the proxy nor the secured API keys are needed (nor the search API key they use).
+const isAlgoliaMockEnabled = Boolean(algoliaConfig.mock?.enabled)
+
+// When the proxy is enabled, the browser sends its Algolia requests to the SSR server.
+const isAlgoliaProxyEnabled = !isAlgoliaMockEnabled && Boolean(algoliaConfig.proxy?.enabled)
 
 const options = {
     // The build directory (an absolute path)
@@ -63,9 +80,10 @@ const {handler} = runtime.createHandler(options, (app) => {
                     'connect-src': [
                         // Connect to Einstein APIs
                         'api.cquotient.com',
-                        '*.algolianet.com',
-                        '*.algolia.net',
-                        'insights.algolia.io',
+                        // Connect to Algolia, unless the requests go through the proxy
+                        ...(isAlgoliaProxyEnabled
+                            ? []
+                            : ['*.algolianet.com', '*.algolia.net', 'insights.algolia.io']),
                         'cdn.jsdelivr.net'
                     ]
                 }
@@ -84,6 +102,15 @@ const {handler} = runtime.createHandler(options, (app) => {
     app.get('/favicon.ico', runtime.serveStaticFile('static/ico/favicon.ico'))
 
     app.get('/worker.js(.map)?', runtime.serveServiceWorker)
+
+    // Issue the secured API keys of the shoppers
+    if (!isAlgoliaMockEnabled && algoliaConfig.securedApiKeys?.enabled) {
+        app.post(getSecuredApiKeyPath(algoliaConfig), createSecuredApiKeyHandler(getConfig().app))
+    }
+    // Forward the Algolia search, recommend and insights requests without exposing the API key
+    if (isAlgoliaProxyEnabled) {
+        app.use(getAlgoliaProxyPath(algoliaConfig), createAlgoliaProxy(getConfig().app))
+    }
     app.get('*', runtime.render)
 })
 // SSR requires that we export a single handler function called 'get', that
@@ -0,0 +1,37 @@
+/*
+ * The choices of the shopper on the product listing pages, e.g. the number of products per page
+ * and the view, kept in the local storage so that they apply on the next visits.
+ */
+
+const STORAGE_KEY = 'algolia.listingPreferences'
+
+/**
+ * Returns the choices of the shopper on the product listing pages.
+ *
+ * @returns {Object} The preferences, e.g. `{hitsPerPage: 48, view: 'list'}`, or an empty object
+ *  on the server or when the storage is disabled.
+ */
+export const readListingPreferences = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {}
+    } catch (error) {
+        return {}
+    }
+}
+
+/**
+ * Keeps a choice of the shopper on the product listing pages.
+ *
+ * @param {string} name - The name of the preference, e.g. `hitsPerPage`.
+ * @param {*} value - The value of the preference.
+ */
+export const writeListingPreference = (name, value) => {
+    try {
+        window.localStorage.setItem(
+            STORAGE_KEY,
+            JSON.stringify({...readListingPreferences(), [name]: value})
+        )
+    } catch (error) {
+        // The choice then only applies to the current URL
+    }
+}
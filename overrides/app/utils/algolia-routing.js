@@ -0,0 +1,311 @@
+/*
+ * The URLs of the product listing pages: the refinements, the sort, the page and the number of
+ * products per page of the InstantSearch UI state are kept in readable URL parameters, e.g.
+ * `/category/womens?color=red&size=m&price=20-50&sort=price_asc&page=2&per_page=48`.
+ */
+
+export const SORT_PARAMETER = 'sort'
+export const PAGE_PARAMETER = 'page'
+export const HITS_PER_PAGE_PARAMETER = 'per_page'
+
+// The view of the products, `grid` or `list`. It is not part of the search state, see
+// `useListingView`.
+export const VIEW_PARAMETER = 'view'
+
+// The tab of the search page, `products`, `articles` or `faq`. It is not part of the search state,
+// see `useSearchTab`.
+export const TAB_PARAMETER = 'tab'
+
+// The page of the content index of each tab of the search page, keyed by the ID of its index, see
+// `AlgoliaContentIndex`
+export const CONTENT_PAGE_PARAMETERS = {
+    articles: 'articles_page',
+    faq: 'faq_page'
+}
+
+// A page refined with more values than this is not indexed by the search engines
+export const MAX_INDEXED_REFINEMENTS = 1
+
+// The UI state key of the refinements of each type of facet
+const uiStateKeys = {
+    hierarchical: 'hierarchicalMenu',
+    color: 'refinementList',
+    checkbox: 'refinementList',
+    range: 'range',
+    radio: 'numericMenu',
+    rating: 'numericMenu',
+    toggle: 'toggle'
+}
+
+const HIERARCHICAL_SEPARATOR = ' > '
+
+// A numeric range of the URL, `min-max`, where either bound can be omitted and both can be
+// negative, e.g. `-10-5`, `-5` (up to 5) or `--5` (up to -5)
+const RANGE_PATTERN = /^((?:-?\d[\d.]*)?)-((?:-?\d[\d.]*)?)$/
+
+/**
+ * Converts a numeric range of the URL to the `min:max` of the UI state.
+ *
+ * @param {string} value - The range, e.g. `-10-5`.
+ * @returns {string|undefined} The range of the UI state, e.g. `-10:5`, or `undefined` if the
+ *  bounds are not numbers.
+ */
+const parseRange = (value) => {
+    const [, min = '', max = ''] = value.match(RANGE_PATTERN) || []
+    const isBound = (bound) => bound === '' || Number.isFinite(Number(bound))
+
+    return (min || max) && isBound(min) && isBound(max) ? `${min}:${max}` : undefined
+}
+
+const getFacetAttribute = (facet) => facet.attribute || facet.attributes[0]
+
+/**
+ * Returns the URL parameters of the refinements, the sort, the page and the number of products per
+ * page of a product listing page, and the pages of the tabs of the search page. Other parameters,
+ * e.g. the query `q`, are not managed by InstantSearch.
+ *
+ * @param {Object[]} facets - The facets of the page, see `resolveAlgoliaFacets`.
+ * @returns {string[]} The parameter names.
+ */
+export const getRoutingParameters = (facets) => [
+    ...facets.map((facet) => facet.urlParameter),
+    SORT_PARAMETER,
+    PAGE_PARAMETER,
+    HITS_PER_PAGE_PARAMETER,
+    ...Object.values(CONTENT_PAGE_PARAMETERS)
+]
+
+/**
+ * Returns the name of the `sort` parameter of an index: the suffix of the name of a replica of the
+ * primary index, e.g. `price_asc` for `pwa__products__en_GB_price_asc`.
+ */
+const getSortName = (indexName, indices) =>
+    indexName.startsWith(`${indices.primary.value}_`)
+        ? indexName.slice(indices.primary.value.length + 1)
+        : indexName
+
+/**
+ * Converts the UI state of the primary index to the route state, i.e. the values of the URL
+ * parameters.
+ *
+ * @param {Object} indexUiState - The UI state of the primary index.
+ * @param {Object} context - The facets and the indices of the page.
+ * @param {Object[]} context.facets - The facets, see `resolveAlgoliaFacets`.
+ * @param {Object} context.indices - The indices, see `resolveAlgoliaIndices`.
+ * @returns {Object} The route state, e.g. `{color: ['red'], price: ['20-50'], page: ['2']}`.
+ */
+export const uiStateToRoute = (indexUiState = {}, {facets, indices}) => {
+    const route = {}
+
+    facets.forEach((facet) => {
+        const value = indexUiState[uiStateKeys[facet.type]]?.[getFacetAttribute(facet)]
+        if (value === undefined || value === '' || value === false) {
+            return
+        }
+
+        switch (facet.type) {
+            case 'hierarchical':
+                route[facet.urlParameter] = value.length ? [value.join(HIERARCHICAL_SEPARATOR)] : []
+                break
+            case 'range':
+            case 'radio':
+            case 'rating':
+                // `min:max`, where either can be empty, see `RANGE_PATTERN`
+                route[facet.urlParameter] = [value.replace(':', '-')]
+                break
+            case 'toggle':
+                route[facet.urlParameter] = [String(value)]
+                break
+            default:
+                route[facet.urlParameter] = value
+        }
+    })
+
+    if (indexUiState.sortBy && indexUiState.sortBy !== indices.primary.value) {
+        route[SORT_PARAMETER] = [getSortName(indexUiState.sortBy, indices)]
+    }
+    if (indexUiState.page > 1) {
+        route[PAGE_PARAMETER] = [String(indexUiState.page)]
+    }
+    // Only set when it is not the default
+    if (indexUiState.hitsPerPage) {
+        route[HITS_PER_PAGE_PARAMETER] = [String(indexUiState.hitsPerPage)]
+    }
+
+    return Object.fromEntries(Object.entries(route).filter(([, values]) => values.length))
+}
+
+/**
+ * Converts the route state to the UI state of the primary index.
+ *
+ * @param {Object} route - The route state, see `uiStateToRoute`.
+ * @param {Object} context - The facets and the indices of the page.
+ * @param {Object[]} context.facets - The facets, see `resolveAlgoliaFacets`.
+ * @param {Object} context.indices - The indices, see `resolveAlgoliaIndices`.
+ * @param {number} [context.hitsPerPage] - The number of products per page when the route has
+ *  none, e.g. the one the shopper chose on a previous visit.
+ * @returns {Object} The UI state of the primary index.
+ */
+export const routeToUiState = (route, {facets, indices, hitsPerPage}) => {
+    const indexUiState = {}
+
+    facets.forEach((facet) => {
+        const values = route[facet.urlParameter]
+        if (!values?.length) {
+            return
+        }
+
+        const key = uiStateKeys[facet.type]
+        let value
+        switch (facet.type) {
+            case 'hierarchical':
+                value = values[0].split(HIERARCHICAL_SEPARATOR)
+                break
+            case 'range':
+            case 'radio':
+            case 'rating':
+                value = parseRange(values[0])
+                break
+            case 'toggle':
+                value = values[0] === 'true'
+                break
+            default:
+                value = values
+        }
+        if (value !== undefined) {
+            indexUiState[key] = {...indexUiState[key], [getFacetAttribute(facet)]: value}
+        }
+    })
+
+    const sortName = route[SORT_PARAMETER]?.[0]
+    const sortIndex =
+        sortName && indices.replicas.find(({value}) => getSortName(value, indices) === sortName)
+    if (sortIndex) {
+        indexUiState.sortBy = sortIndex.value
+    }
+
+    const page = Number(route[PAGE_PARAMETER]?.[0])
+    if (page > 1) {
+        indexUiState.page = page
+    }
+
+    const routeHitsPerPage = Number(route[HITS_PER_PAGE_PARAMETER]?.[0])
+    if (Number.isInteger(routeHitsPerPage) && routeHitsPerPage > 0) {
+        indexUiState.hitsPerPage = routeHitsPerPage
+    } else if (hitsPerPage) {
+        indexUiState.hitsPerPage = hitsPerPage
+    }
+
+    return indexUiState
+}
+
+/**
+ * Converts the UI state of the content indices of the search tabs to the route state: only their
+ * page, the other parameters of their search are set by the page.
+ *
+ * @param {Object} uiState - The UI state of all the indices.
+ * @returns {Object} The route state, e.g. `{articles_page: ['2']}`.
+ */
+export const contentUiStateToRoute = (uiState = {}) =>
+    Object.fromEntries(
+        Object.entries(CONTENT_PAGE_PARAMETERS)
+            .filter(([indexId]) => uiState[indexId]?.page > 1)
+            .map(([indexId, name]) => [name, [String(uiState[indexId].page)]])
+    )
+
+/**
+ * Converts the route state to the UI state of the content indices of the search tabs.
+ *
+ * @param {Object} route - The route state, see `contentUiStateToRoute`.
+ * @returns {Object} The UI state of the content indices, keyed by their ID.
+ */
+export const routeToContentUiState = (route) =>
+    Object.fromEntries(
+        Object.entries(CONTENT_PAGE_PARAMETERS).map(([indexId, name]) => {
+            const page = Number(route[name]?.[0])
+            return [indexId, page > 1 ? {page} : {}]
+        })
+    )
+
+/**
+ * Reads the route state from the search string of a URL.
+ *
+ * @param {string} search - The search string, e.g. `?color=red&color=blue`.
+ * @param {Object[]} facets - The facets of the page, see `resolveAlgoliaFacets`.
+ * @returns {Object} The route state, e.g. `{color: ['red', 'blue']}`.
+ */
+export const parseRoute = (search, facets) => {
+    const searchParams = new URLSearchParams(search)
+
+    return Object.fromEntries(
+        getRoutingParameters(facets)
+            .map((name) => [name, searchParams.getAll(name)])
+            .filter(([, values]) => values.length)
+    )
+}
+
+/**
+ * Returns the URL of a route state. The parameters that are not managed by InstantSearch, e.g.
+ * the query `q` or the `view`, are kept from the current URL.
+ *
+ * @param {Object} route - The route state, see `uiStateToRoute`.
+ * @param {Object} location - The current location.
+ * @param {Object[]} facets - The facets of the page, see `resolveAlgoliaFacets`.
+ * @returns {string} The absolute URL.
+ */
+export const createRouteURL = (route, location, facets) => {
+    const url = new URL(location.href)
+    getRoutingParameters(facets).forEach((name) => url.searchParams.delete(name))
+    Object.entries(route).forEach(([name, values]) =>
+        values.forEach((value) => url.searchParams.append(name, value))
+    )
+
+    return url.href
+}
+
+/**
+ * Returns whether the search engines should index a page, and its canonical URL.
+ *
+ * The pages refined with more than `MAX_INDEXED_REFINEMENTS` values, or with a numeric range,
+ * are not indexed: their combinations are endless. Their canonical URL is the page without
+ * refinements. The sort, the number of products per page and the view are never part of the
+ * canonical URL, as they do not change the products, nor are the tab and the pages of the tabs
+ * of the search page. The page is not either with a number of products per page other than the
+ * default, as its products are then not those of the canonical page.
+ *
+ * @param {Object} location - The location of the page, with its `pathname` and `search`.
+ * @param {Object[]} facets - The facets of the page, see `resolveAlgoliaFacets`.
+ * @param {string} origin - The origin of the app, e.g. `https://www.example.com`.
+ * @returns {Object} `{isIndexable, canonicalUrl}`.
+ */
+export const getSeoDirectives = (location, facets, origin) => {
+    const route = parseRoute(location.search, facets)
+    const refinedFacets = facets.filter((facet) => route[facet.urlParameter])
+    const refinementCount = refinedFacets.reduce(
+        (count, facet) => count + route[facet.urlParameter].length,
+        0
+    )
+    const isIndexable =
+        refinementCount <= MAX_INDEXED_REFINEMENTS &&
+        !refinedFacets.some((facet) => ['range', 'numericMenu'].includes(uiStateKeys[facet.type]))
+
+    const canonicalUrl = new URL(location.pathname, origin)
+    const query = new URLSearchParams(location.search).get('q')
+    if (query) {
+        canonicalUrl.searchParams.set('q', query)
+    }
+    if (isIndexable) {
+        refinedFacets.forEach((facet) =>
+            route[facet.urlParameter].forEach((value) =>
+                canonicalUrl.searchParams.append(facet.urlParameter, value)
+            )
+        )
+        if (!route[HITS_PER_PAGE_PARAMETER]) {
+            route[PAGE_PARAMETER]?.forEach((value) =>
+                canonicalUrl.searchParams.set(PAGE_PARAMETER, value)
+            )
+        }
+    }
+
+    return {isIndexable, canonicalUrl: canonicalUrl.href}
+}
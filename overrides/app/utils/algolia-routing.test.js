@@ -0,0 +1,200 @@
+import {
+    contentUiStateToRoute,
+    createRouteURL,
+    getSeoDirectives,
+    parseRoute,
+    routeToContentUiState,
+    routeToUiState,
+    uiStateToRoute
+} from './algolia-routing'
+
+const facets = [
+    {
+        type: 'hierarchical',
+        attributes: ['__primary_category.0', '__primary_category.1'],
+        urlParameter: 'category'
+    },
+    {type: 'color', attribute: 'color', urlParameter: 'color'},
+    {type: 'checkbox', attribute: 'size', urlParameter: 'size'},
+    {type: 'range', attribute: 'price.USD', urlParameter: 'price'},
+    {type: 'radio', attribute: 'weight', urlParameter: 'weight'},
+    {type: 'rating', attribute: 'reviews.rating', urlParameter: 'rating'},
+    {type: 'toggle', attribute: 'in_stock', urlParameter: 'in_stock'}
+]
+
+const indices = {
+    primary: {value: 'pwa__products__en_US'},
+    replicas: [{value: 'pwa__products__en_US_price_asc'}, {value: 'pwa__other_index'}]
+}
+
+const context = {facets, indices}
+
+describe('uiStateToRoute and routeToUiState', () => {
+    test.each([
+        ['no refinements', {}, {}],
+        [
+            'a hierarchical refinement',
+            {hierarchicalMenu: {'__primary_category.0': ['Women', 'Dresses']}},
+            {category: ['Women > Dresses']}
+        ],
+        [
+            'refinement lists',
+            {refinementList: {color: ['Red', 'Blue'], size: ['M']}},
+            {color: ['Red', 'Blue'], size: ['M']}
+        ],
+        ['a range', {range: {'price.USD': '20:50'}}, {price: ['20-50']}],
+        ['a range without maximum', {range: {'price.USD': '20:'}}, {price: ['20-']}],
+        ['a range without minimum', {range: {'price.USD': ':50'}}, {price: ['-50']}],
+        [
+            'a range with decimal bounds',
+            {range: {'price.USD': '9.99:19.5'}},
+            {price: ['9.99-19.5']}
+        ],
+        ['a range with a negative minimum', {range: {'price.USD': '-10:5'}}, {price: ['-10-5']}],
+        ['a range with negative bounds', {range: {'price.USD': '-10:-5'}}, {price: ['-10--5']}],
+        ['a negative range without minimum', {range: {'price.USD': ':-5'}}, {price: ['--5']}],
+        ['a negative range without maximum', {range: {'price.USD': '-5:'}}, {price: ['-5-']}],
+        [
+            'numeric menus',
+            {numericMenu: {weight: '100:500', 'reviews.rating': '4:'}},
+            {weight: ['100-500'], rating: ['4-']}
+        ],
+        ['a toggle', {toggle: {in_stock: true}}, {in_stock: ['true']}],
+        ['a replica', {sortBy: 'pwa__products__en_US_price_asc'}, {sort: ['price_asc']}],
+        ['another index', {sortBy: 'pwa__other_index'}, {sort: ['pwa__other_index']}],
+        ['a page', {page: 3}, {page: ['3']}],
+        ['a number of products per page', {hitsPerPage: 48}, {per_page: ['48']}]
+    ])('maps %s both ways', (_, indexUiState, route) => {
+        expect(uiStateToRoute(indexUiState, context)).toEqual(route)
+        expect(routeToUiState(route, context)).toEqual(indexUiState)
+    })
+
+    test.each([
+        ['the primary index', {sortBy: 'pwa__products__en_US'}],
+        ['the first page', {page: 1}],
+        ['an empty hierarchical refinement', {hierarchicalMenu: {'__primary_category.0': []}}],
+        ['an empty refinement list', {refinementList: {color: []}}],
+        ['an empty range', {range: {'price.USD': ''}}],
+        ['a toggle that is off', {toggle: {in_stock: false}}],
+        ['a facet that is not configured', {refinementList: {material: ['Silk']}}]
+    ])('omits %s from the route', (_, indexUiState) => {
+        expect(uiStateToRoute(indexUiState, context)).toEqual({})
+    })
+
+    test.each([
+        ['a range that is not numeric', {price: ['cheap']}],
+        ['a range without bounds', {price: ['-']}],
+        ['a range with an invalid bound', {price: ['1.2.3-4']}],
+        ['a range with too many bounds', {price: ['20-50-60']}],
+        ['an unknown sort', {sort: ['name_asc']}],
+        ['a page that is not a number', {page: ['two']}],
+        ['the first page', {page: ['1']}],
+        ['a number of products per page that is not a positive integer', {per_page: ['-24']}]
+    ])('ignores %s in the route', (_, route) => {
+        expect(routeToUiState(route, context)).toEqual({})
+    })
+
+    test('falls back to the given number of products per page', () => {
+        expect(routeToUiState({}, {...context, hitsPerPage: 96})).toEqual({hitsPerPage: 96})
+        expect(routeToUiState({per_page: ['48']}, {...context, hitsPerPage: 96})).toEqual({
+            hitsPerPage: 48
+        })
+    })
+})
+
+describe('contentUiStateToRoute and routeToContentUiState', () => {
+    test.each([
+        ['no pages', {}, {}, {articles: {}, faq: {}}],
+        ['the first pages', {articles: {page: 1}}, {}, {articles: {}, faq: {}}],
+        [
+            'the pages of the tabs',
+            {articles: {page: 2}, faq: {page: 3}},
+            {articles_page: ['2'], faq_page: ['3']},
+            {articles: {page: 2}, faq: {page: 3}}
+        ]
+    ])('maps %s both ways', (_, uiState, route, contentUiState) => {
+        expect(contentUiStateToRoute(uiState)).toEqual(route)
+        expect(routeToContentUiState(route)).toEqual(contentUiState)
+    })
+})
+
+describe('parseRoute', () => {
+    test.each([
+        ['an empty search', '', {}],
+        ['repeated values', '?color=Red&color=Blue', {color: ['Red', 'Blue']}],
+        [
+            'encoded values',
+            '?category=Women%20%3E%20Dresses&price=-10-5',
+            {category: ['Women > Dresses'], price: ['-10-5']}
+        ],
+        [
+            'the parameters of the sort, the pages and the number of products per page',
+            '?sort=price_asc&page=2&per_page=48&articles_page=3&faq_page=4',
+            {
+                sort: ['price_asc'],
+                page: ['2'],
+                per_page: ['48'],
+                articles_page: ['3'],
+                faq_page: ['4']
+            }
+        ],
+        [
+            'the parameters that are not managed by InstantSearch',
+            '?q=dress&view=list&tab=faq&utm_source=mail',
+            {}
+        ]
+    ])('reads %s', (_, search, route) => {
+        expect(parseRoute(search, facets)).toEqual(route)
+    })
+})
+
+describe('createRouteURL', () => {
+    test('replaces the parameters of the route and keeps the others', () => {
+        const location = new URL(
+            'https://www.example.com/search?q=dress&color=Red&page=2&view=list'
+        )
+        expect(createRouteURL({color: ['Blue', 'Green']}, location, facets)).toBe(
+            'https://www.example.com/search?q=dress&view=list&color=Blue&color=Green'
+        )
+    })
+})
+
+describe('getSeoDirectives', () => {
+    const origin = 'https://www.example.com'
+
+    test.each([
+        ['an unrefined page', '', true, '/category/womens'],
+        ['a page refined with one value', '?color=Red', true, '/category/womens?color=Red'],
+        ['the second page', '?page=2', true, '/category/womens?page=2'],
+        [
+            'a refined page with its page',
+            '?color=Red&page=2',
+            true,
+            '/category/womens?color=Red&page=2'
+        ],
+        ['a sorted page', '?sort=price_asc&view=list', true, '/category/womens'],
+        [
+            'a page with a number of products per page',
+            '?page=2&per_page=48',
+            true,
+            '/category/womens'
+        ],
+        ['a page refined with two values', '?color=Red&size=M', false, '/category/womens'],
+        ['a page refined with a range', '?price=20-50', false, '/category/womens'],
+        ['a page refined with a rating', '?rating=4-', false, '/category/womens']
+    ])('handles %s', (_, search, isIndexable, canonicalPath) => {
+        const location = {pathname: '/category/womens', search}
+        expect(getSeoDirectives(location, facets, origin)).toEqual({
+            isIndexable,
+            canonicalUrl: `${origin}${canonicalPath}`
+        })
+    })
+
+    test('keeps the query of the search page in the canonical URL', () => {
+        const location = {pathname: '/search', search: '?q=red%20dress&tab=faq&faq_page=2'}
+        expect(getSeoDirectives(location, facets, origin)).toEqual({
+            isIndexable: true,
+            canonicalUrl: `${origin}/search?q=red+dress`
+        })
+    })
+})
@@ -0,0 +1,44 @@
+/*
+ * The consequences of the Algolia rules the storefront applies: the redirects and the banners of
+ * the product listing pages, set by the merchandisers in the Algolia dashboard.
+ */
+
+/**
+ * Returns the URL a search redirects to: the URL of a redirect rule of the Algolia dashboard, in
+ * the `renderingContent` of the results, or a `redirect` of the `userData` of a rule, e.g.
+ * `{"redirect": "/returns"}`.
+ *
+ * @param {Object} [results] - The results of the search.
+ * @returns {string|undefined} The URL, absolute or relative to the storefront.
+ */
+export const getRedirectUrl = (results) =>
+    results?.renderingContent?.redirect?.url ||
+    (results?.userData || []).find((data) => typeof data?.redirect === 'string')?.redirect
+
+/**
+ * Returns the banners of the `userData` of the rules, e.g.
+ * `{"banner": {"image": "<url>", "title": "Summer sale", "href": "/category/womens"}}`.
+ *
+ * @param {Object[]} [userData] - The `userData` of the results.
+ * @returns {Object[]} The banners, with a `position`: `top` by default, or `grid`.
+ */
+export const getBanners = (userData = []) =>
+    userData
+        .filter((data) => data?.banner?.image || data?.banner?.title)
+        .map(({banner}) => ({...banner, position: banner.position || 'top'}))
+
+/**
+ * Follows a redirect: the URLs of the storefront are opened by the app, the other URLs by the
+ * browser.
+ *
+ * @param {string} url - The URL, absolute or relative to the storefront.
+ * @param {Function} navigate - The function opening a path of the app, e.g. `history.replace`.
+ */
+export const followRedirect = (url, navigate) => {
+    const {origin, pathname, search, hash} = new URL(url, window.location.origin)
+    if (origin === window.location.origin) {
+        navigate(`${pathname}${search}${hash}`)
+    } else {
+        window.location.assign(url)
+    }
+}
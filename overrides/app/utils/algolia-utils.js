@@ -0,0 +1,258 @@
+/*
+ * Helpers to read the Algolia configuration (`config.app.algolia`) and resolve
+ * the index names for the active site and locale.
+ */
+
+/**
+ * Replaces the `{indexPrefix}`, `{siteId}` and `{locale}` placeholders of an index name.
+ * The locale is formatted the way the Algolia SFCC cartridge names its indices,
+ * i.e. `en-GB` becomes `en_GB`.
+ *
+ * @param {string} indexName - The index name, possibly containing placeholders.
+ * @param {Object} context - The index prefix and the active site and locale.
+ * @param {string} [context.indexPrefix] - The index prefix, e.g. `pwa`.
+ * @param {string} [context.siteId] - The active site ID, e.g. `RefArch`.
+ * @param {string} [context.localeId] - The active locale ID, e.g. `en-GB`.
+ * @returns {string} The index name for the given site and locale.
+ *
+ * @example
+ * // Returns "pwa__products__en_GB"
+ * formatIndexName('{indexPrefix}__products__{locale}', {indexPrefix: 'pwa', localeId: 'en-GB'})
+ */
+export const formatIndexName = (indexName, {indexPrefix = '', siteId = '', localeId = ''} = {}) => {
+    if (!indexName) {
+        return indexName
+    }
+
+    return indexName
+        .replace(/\{indexPrefix\}/g, indexPrefix)
+        .replace(/\{siteId\}/g, siteId)
+        .replace(/\{locale\}/g, localeId.replace(/-/g, '_'))
+}
+
+/**
+ * Resolves the index names of the Algolia configuration for a site and a locale.
+ *
+ * The `indices` of `algolia-config.json` are used as the default for every site. A site
+ * can override some or all of them in `sites.<siteId>.indices`. Index names can contain
+ * the `{indexPrefix}`, `{siteId}` and `{locale}` placeholders, see `formatIndexName`.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @param {Object} context - The active site and locale.
+ * @param {string} [context.siteId] - The active site ID.
+ * @param {string} [context.localeId] - The active locale ID.
+ * @returns {Object} The resolved indices, with the same shape as `algoliaConfig.indices`.
+ */
+export const resolveAlgoliaIndices = (algoliaConfig, {siteId, localeId} = {}) => {
+    const indices = {
+        ...algoliaConfig.indices,
+        ...algoliaConfig.sites?.[siteId]?.indices
+    }
+    const {indexPrefix} = algoliaConfig
+    const format = (indexName) => formatIndexName(indexName, {indexPrefix, siteId, localeId})
+    const formatSortOption = (option) => ({...option, value: format(option.value)})
+
+    return {
+        primary: formatSortOption(indices.primary),
+        replicas: (indices.replicas || []).map(formatSortOption),
+        querySuggestions: format(indices.querySuggestions),
+        contents: format(indices.contents),
+        faq: format(indices.faq),
+        categories: format(indices.categories)
+    }
+}
+
+/**
+ * Returns the filters of the articles and of the FAQ, on the search page and in the autocomplete.
+ * When `contents` and `faq` are the same index, the FAQ are its records of `type` `faq` and the
+ * articles the others: `type` must be one of the `attributesForFaceting` of the index.
+ *
+ * @param {Object} indices - The resolved indices, see `resolveAlgoliaIndices`.
+ * @returns {Object} `{articles, faq}`: the `filters` of each, empty for separate indices.
+ */
+export const getContentFilters = (indices) =>
+    indices.contents === indices.faq
+        ? {articles: 'NOT type:faq', faq: 'type:faq'}
+        : {articles: '', faq: ''}
+
+/**
+ * The path the Algolia proxy is mounted on when `proxy.path` is not configured.
+ *
+ * It is deliberately not under `/mobify/proxy/`: on Managed Runtime, those paths are routed
+ * by the CDN to the `proxyConfigs` of `config/default.js` and never reach the SSR server.
+ */
+export const DEFAULT_ALGOLIA_PROXY_PATH = '/api/algolia'
+
+/**
+ * Returns the path the Algolia proxy is mounted on.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @returns {string} The proxy path, e.g. `/api/algolia`.
+ */
+export const getAlgoliaProxyPath = (algoliaConfig) =>
+    algoliaConfig.proxy?.path || DEFAULT_ALGOLIA_PROXY_PATH
+
+/**
+ * Returns the path of the SSR endpoint issuing the secured API keys of the shoppers.
+ * It lives under the proxy path, whether the proxy is enabled or not.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @returns {string} The endpoint path, e.g. `/api/algolia/secured-api-key`.
+ */
+export const getSecuredApiKeyPath = (algoliaConfig) =>
+    `${getAlgoliaProxyPath(algoliaConfig)}/secured-api-key`
+
+/**
+ * Returns the currency of the Algolia prices for a site: the active currency of the shopper, see
+ * `useCurrency`, if the site supports it, the default currency of the site otherwise.
+ *
+ * @param {Object} site - The site, from `config/sites.js`.
+ * @param {string} [currency] - The active currency, e.g. `EUR`.
+ * @returns {string} The currency code, e.g. `USD`.
+ */
+export const resolveAlgoliaCurrency = (site, currency) => {
+    const {supportedCurrencies = [], defaultCurrency} = site?.l10n || {}
+
+    return currency && supportedCurrencies.includes(currency) ? currency : defaultCurrency
+}
+
+/**
+ * Returns the attribute holding the prices in a currency. The Algolia SFCC cartridge indexes
+ * a price per currency, e.g. `{"price": {"USD": 59.99, "EUR": 54.99}}`.
+ *
+ * @param {string} currency - The currency code, e.g. `EUR`.
+ * @returns {string} The price attribute, e.g. `price.EUR`.
+ */
+export const getPriceAttribute = (currency) => `price.${currency}`
+
+/**
+ * Returns the symbol of a currency in a locale.
+ *
+ * @param {string} currency - The currency code, e.g. `GBP`.
+ * @param {string} [localeId] - The locale ID, e.g. `en-GB`.
+ * @returns {string} The currency symbol, e.g. `£`, or the code if there is none.
+ */
+export const getCurrencySymbol = (currency, localeId) =>
+    new Intl.NumberFormat(localeId, {style: 'currency', currency, currencyDisplay: 'narrowSymbol'})
+        .formatToParts(0)
+        .find(({type}) => type === 'currency')?.value || currency
+
+/**
+ * The facets of the product listing pages when `facets` is not configured.
+ */
+export const DEFAULT_ALGOLIA_FACETS = [
+    {
+        type: 'hierarchical',
+        attributes: ['__primary_category.0', '__primary_category.1', '__primary_category.2'],
+        title: 'algolia_facets.title.category',
+        urlParameter: 'category'
+    },
+    {type: 'color', attribute: 'color', title: 'algolia_facets.title.color', showMoreLimit: 30},
+    {type: 'checkbox', attribute: 'size', title: 'algolia_facets.title.size', showMoreLimit: 30},
+    {type: 'range', attribute: 'price.{currency}', title: 'algolia_facets.title.price'},
+    {
+        type: 'checkbox',
+        attribute: 'brand',
+        title: 'algolia_facets.title.brand',
+        sortBy: ['count:desc'],
+        showMoreLimit: 50,
+        searchable: true
+    },
+    {
+        type: 'rating',
+        attribute: 'reviews.rating',
+        title: 'algolia_facets.title.rating',
+        urlParameter: 'rating'
+    },
+    {type: 'toggle', attribute: 'in_stock', title: 'algolia_facets.title.in_stock'}
+]
+
+/**
+ * Returns the URL parameter the refinements of a facet are kept in: its `urlParameter`, which
+ * defaults to the first segment of its attribute, without leading underscores, e.g. `price` for
+ * `price.{currency}`.
+ *
+ * @param {Object} facet - The facet, from the configuration.
+ * @returns {string} The URL parameter, e.g. `price`.
+ */
+export const getFacetUrlParameter = (facet) =>
+    facet.urlParameter || (facet.attribute || facet.attributes[0]).split('.')[0].replace(/^_+/, '')
+
+/**
+ * Resolves the facets of a product listing page.
+ *
+ * The `facets.default` of `algolia-config.json` are used on every page. A category can have its
+ * own facets in `facets.categories.<categoryId>`. The `{currency}` placeholder of the attributes
+ * is replaced with the active currency, e.g. `price.{currency}` becomes `price.EUR`.
+ *
+ * The `urlParameter` the refinements of a facet are kept in is resolved with
+ * `getFacetUrlParameter`.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @param {Object} context - The category and the currency of the page.
+ * @param {string} [context.categoryId] - The category ID, if it is a category page.
+ * @param {string} context.currency - The active currency.
+ * @returns {Object[]} The facets, e.g.
+ *  `[{type: 'checkbox', attribute: 'size', title: '...', urlParameter: 'size'}]`.
+ */
+export const resolveAlgoliaFacets = (algoliaConfig, {categoryId, currency}) => {
+    const {facets} = algoliaConfig
+    const format = (attribute) => attribute.replace(/\{currency\}/g, currency)
+
+    return (facets?.categories?.[categoryId] || facets?.default || DEFAULT_ALGOLIA_FACETS).map(
+        (facet) => ({
+            ...facet,
+            ...(facet.attribute && {attribute: format(facet.attribute)}),
+            ...(facet.attributes && {attributes: facet.attributes.map(format)}),
+            urlParameter: getFacetUrlParameter(facet)
+        })
+    )
+}
+
+/**
+ * The listing modes of the product listing pages when `productList.listingMode` is not configured.
+ */
+export const DEFAULT_LISTING_MODES = {mobile: 'loadMore', desktop: 'pagination'}
+
+/**
+ * Resolves the listing modes of the product listing pages, per device:
+ *  - `pagination`: numbered pages
+ *  - `loadMore`: a "Load more" button appending the next page
+ *  - `infiniteScroll`: the next page is appended when the shopper scrolls to the last products
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @returns {Object} The listing modes, e.g. `{mobile: 'loadMore', desktop: 'pagination'}`.
+ */
+export const resolveListingModes = (algoliaConfig) => ({
+    ...DEFAULT_LISTING_MODES,
+    ...algoliaConfig.productList?.listingMode
+})
+
+/**
+ * The choices of the number of products per page when `productList.hitsPerPage` is not
+ * configured.
+ */
+export const DEFAULT_HITS_PER_PAGE = [24, 48, 96]
+
+/**
+ * Resolves the choices of the number of products per page of the product listing pages. The
+ * first one is the default.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @returns {number[]} The numbers of products per page, e.g. `[24, 48, 96]`.
+ */
+export const resolveHitsPerPage = (algoliaConfig) =>
+    algoliaConfig.productList?.hitsPerPage?.length
+        ? algoliaConfig.productList.hitsPerPage
+        : DEFAULT_HITS_PER_PAGE
+
+/**
+ * Resolves how the words of a search without results are removed until it has some, from
+ * `productList.removeWordsIfNoResults`: the `removeWordsIfNoResults` search parameter of Algolia,
+ * `none` by default.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @returns {string} `none`, `lastWords` or `firstWords`.
+ */
+export const resolveRemoveWordsIfNoResults = (algoliaConfig) =>
+    algoliaConfig.productList?.removeWordsIfNoResults || 'none'
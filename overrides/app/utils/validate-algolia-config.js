@@ -0,0 +1,457 @@
+/*
+ * Validation of the Algolia configuration (`config/algolia-config.json`).
+ * It runs when the SSR server starts and when the client boots, so that a missing or
+ * misspelled key is reported right away instead of crashing a page or a plugin later on.
+ */
+
+import {getFacetUrlParameter} from './algolia-utils'
+
+const EXAMPLE_FILE = 'config/algolia-config.example.json'
+
+const string = {type: 'string', description: 'a non-empty string'}
+
+const sortOption = {
+    type: 'object',
+    description: 'an object like {"label": "Sort By: Best Matches", "value": "<index name>"}',
+    properties: {
+        label: string,
+        value: {...string, description: 'a non-empty string with the index name'}
+    }
+}
+
+const indexName = {...string, description: 'a non-empty string with the index name'}
+
+const seconds = {type: 'number', optional: true, description: 'a positive number of seconds'}
+
+const indicesProperties = {
+    primary: sortOption,
+    replicas: {
+        type: 'array',
+        description: 'an array of sort options (use [] if there are no replicas)',
+        items: sortOption
+    },
+    querySuggestions: indexName,
+    contents: indexName,
+    faq: indexName,
+    categories: indexName
+}
+
+const attributeName = {...string, description: 'a non-empty string with an attribute name'}
+
+const facet = {
+    type: 'object',
+    description:
+        'an object like {"type": "checkbox", "attribute": "size", "title": "<message ID>"}',
+    properties: {
+        type: {
+            ...string,
+            pattern: /^(hierarchical|color|checkbox|range|radio|rating|toggle)$/,
+            description:
+                'one of "hierarchical", "color", "checkbox", "range", "radio", "rating", "toggle"'
+        },
+        attribute: {...attributeName, optional: true},
+        attributes: {
+            type: 'array',
+            optional: true,
+            description: 'an array of attribute names, from the top level to the deepest one',
+            items: attributeName
+        },
+        title: {...string, description: 'a non-empty string with the message ID of the title'},
+        urlParameter: {
+            ...string,
+            optional: true,
+            pattern: /^(?!(q|tab|sort|page|per_page|view|articles_page|faq_page)$)[a-z0-9_-]+$/,
+            description:
+                'a lowercase name of URL parameter, other than "q", "tab", "sort", "page", "per_page", "view", "articles_page" and "faq_page", e.g. "size"'
+        },
+        defaultTitle: {
+            ...string,
+            optional: true,
+            description: 'a non-empty string with the title when the message ID is not translated'
+        },
+        sortBy: {
+            type: 'array',
+            optional: true,
+            description: 'an array like ["count:desc", "name:asc"]',
+            items: {...string, description: 'a non-empty string like "count:desc"'}
+        },
+        limit: {type: 'number', optional: true, description: 'a positive number of values'},
+        showMoreLimit: {
+            type: 'number',
+            optional: true,
+            description: 'a positive number of values, above the limit'
+        },
+        searchable: {type: 'boolean', optional: true, description: 'true or false'},
+        max: {type: 'number', optional: true, description: 'a positive number, the highest rating'},
+        on: {
+            type: 'scalar',
+            optional: true,
+            description: 'a string, number or boolean value of the attribute'
+        },
+        operator: {
+            ...string,
+            optional: true,
+            pattern: /^(and|or)$/,
+            description: '"and" or "or"'
+        },
+        items: {
+            type: 'array',
+            optional: true,
+            description: 'an array of numeric ranges like {"label": "Under 50", "end": 50}',
+            items: {
+                type: 'object',
+                description: 'an object like {"label": "Under 50", "end": 50}',
+                properties: {
+                    label: string,
+                    start: {type: 'number', optional: true, description: 'a positive number'},
+                    end: {type: 'number', optional: true, description: 'a positive number'}
+                }
+            }
+        }
+    },
+    // The attribute of a facet depends on its type: the levels of a hierarchical facet, else a
+    // single attribute
+    check: (value, path, errors) => {
+        if (value.type === 'hierarchical') {
+            if (!value.attributes?.length) {
+                errors.push(
+                    `"${path}.attributes" is missing. Expected a non-empty array of attribute names for a "hierarchical" facet.`
+                )
+            }
+        } else if (value.attribute === undefined) {
+            errors.push(
+                `"${path}.attribute" is missing. Expected an attribute name for a "${value.type}" facet.`
+            )
+        }
+    }
+}
+
+const facetList = {
+    type: 'array',
+    description: 'an array of facets (use [] for no facets)',
+    items: facet,
+    // The refinements of each facet are kept in their own URL parameter, which defaults to the
+    // first segment of the attribute: `variants.color` and `variants.size` would share `variants`
+    check: (value, path, errors) => {
+        const indexByUrlParameter = new Map()
+        value.forEach((item, index) => {
+            const urlParameter = getFacetUrlParameter(item)
+            if (indexByUrlParameter.has(urlParameter)) {
+                errors.push(
+                    `"${path}[${index}]" has the same URL parameter "${urlParameter}" as "${path}[${indexByUrlParameter.get(
+                        urlParameter
+                    )}]". Expected a different "urlParameter" for one of them.`
+                )
+            } else {
+                indexByUrlParameter.set(urlParameter, index)
+            }
+        })
+    }
+}
+
+const listingMode = {
+    ...string,
+    optional: true,
+    pattern: /^(pagination|loadMore|infiniteScroll)$/,
+    description: 'one of "pagination", "loadMore", "infiniteScroll"'
+}
+
+/**
+ * The schema of `algolia-config.json`. Every property is required unless it is `optional`. An
+ * object can `check` the rules between its properties once they are valid, an array the rules
+ * between its items.
+ */
+const algoliaConfigSchema = {
+    type: 'object',
+    description: 'an object',
+    properties: {
+        appId: {
+            ...string,
+            description:
+                'a non-empty string with your Algolia application ID (or set the ALGOLIA_APP_ID environment variable)'
+        },
+        apiKey: {
+            ...string,
+            description:
+                'a non-empty string with your Algolia search-only API key (or set the ALGOLIA_SEARCH_API_KEY environment variable)'
+        },
+        indexPrefix: {
+            ...string,
+            optional: true,
+            description:
+                'a non-empty string replacing {indexPrefix} in the index names (or set the ALGOLIA_INDEX_PREFIX environment variable)'
+        },
+        proxy: {
+            type: 'object',
+            optional: true,
+            description: 'an object like {"enabled": true}',
+            properties: {
+                enabled: {type: 'boolean', description: 'true or false'},
+                path: {
+                    ...string,
+                    optional: true,
+                    pattern: /^\/(?!mobify\/proxy\/)[^*?]*[^/*?]$/,
+                    description:
+                        'a path starting with "/" and outside of "/mobify/proxy/", e.g. "/api/algolia"'
+                }
+            }
+        },
+        securedApiKeys: {
+            type: 'object',
+            optional: true,
+            description: 'an object like {"enabled": true}',
+            properties: {
+                enabled: {type: 'boolean', description: 'true or false'},
+                validity: seconds,
+                filters: {
+                    ...string,
+                    optional: true,
+                    description:
+                        'a non-empty string with Algolia filters, e.g. "customerGroups:{loginState}"'
+                }
+            }
+        },
+        mock: {
+            type: 'object',
+            optional: true,
+            description: 'an object like {"enabled": true}',
+            properties: {
+                enabled: {type: 'boolean', description: 'true or false'}
+            }
+        },
+        cache: {
+            type: 'object',
+            optional: true,
+            description: 'an object like {"enabled": true}',
+            properties: {
+                enabled: {type: 'boolean', description: 'true or false'},
+                sessionStorage: {type: 'boolean', optional: true, description: 'true or false'},
+                timeToLive: {
+                    type: 'object',
+                    optional: true,
+                    description: 'an object like {"search": 300, "recommend": 3600}',
+                    properties: {
+                        search: seconds,
+                        facetSearch: seconds,
+                        recommend: seconds
+                    }
+                }
+            }
+        },
+        indices: {
+            type: 'object',
+            description: 'an object with the index names',
+            properties: indicesProperties
+        },
+        facets: {
+            type: 'object',
+            optional: true,
+            description:
+                'an object like {"default": [...], "categories": {"<category ID>": [...]}}',
+            properties: {
+                default: {...facetList, optional: true},
+                categories: {
+                    type: 'map',
+                    optional: true,
+                    description: 'an object keyed by category ID',
+                    values: facetList
+                }
+            }
+        },
+        productList: {
+            type: 'object',
+            optional: true,
+            description: 'an object like {"listingMode": {"mobile": "loadMore"}}',
+            properties: {
+                hitsPerPage: {
+                    type: 'array',
+                    optional: true,
+                    description: 'an array of numbers of products per page, e.g. [24, 48, 96]',
+                    items: {type: 'number', description: 'a positive number of products'}
+                },
+                listingMode: {
+                    type: 'object',
+                    optional: true,
+                    description: 'an object like {"mobile": "loadMore", "desktop": "pagination"}',
+                    properties: {
+                        mobile: listingMode,
+                        desktop: listingMode
+                    }
+                },
+                // Not `allOptional`: its results have no `queryAfterRemoval` to tell the shopper
+                // the query was relaxed
+                removeWordsIfNoResults: {
+                    ...string,
+                    optional: true,
+                    pattern: /^(none|lastWords|firstWords)$/,
+                    description: 'one of "none", "lastWords", "firstWords"'
+                }
+            }
+        },
+        sites: {
+            type: 'map',
+            optional: true,
+            description: 'an object keyed by site ID',
+            values: {
+                type: 'object',
+                description: 'an object like {"indices": {...}}',
+                properties: {
+                    indices: {
+                        type: 'object',
+                        optional: true,
+                        description: 'an object with the index names to override',
+                        properties: Object.fromEntries(
+                            Object.entries(indicesProperties).map(([key, schema]) => [
+                                key,
+                                {...schema, optional: true}
+                            ])
+                        )
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Error thrown when the Algolia configuration does not match its schema.
+ * `errors` holds one message per invalid field.
+ */
+export class AlgoliaConfigError extends Error {
+    constructor(errors) {
+        super(
+            `Invalid Algolia configuration in config/algolia-config.json:\n` +
+                errors.map((error) => `  - ${error}`).join('\n') +
+                `\nSee ${EXAMPLE_FILE} for a valid configuration.`
+        )
+        this.name = 'AlgoliaConfigError'
+        this.errors = errors
+    }
+}
+
+const typeOf = (value) => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    return typeof value
+}
+
+const matchesType = (value, schema) => {
+    switch (schema.type) {
+        case 'string':
+            return (
+                typeof value === 'string' &&
+                value.trim() !== '' &&
+                (!schema.pattern || schema.pattern.test(value))
+            )
+        case 'boolean':
+            return typeof value === 'boolean'
+        case 'scalar':
+            return ['string', 'number', 'boolean'].includes(typeof value) && value !== ''
+        case 'number':
+            return Number.isFinite(value) && value >= 0
+        case 'array':
+            return Array.isArray(value)
+        case 'object':
+        case 'map':
+            return typeOf(value) === 'object'
+        default:
+            return false
+    }
+}
+
+/**
+ * Collects the errors of a value against a schema node.
+ *
+ * @param {*} value - The value to check.
+ * @param {Object} schema - The schema node.
+ * @param {string} path - The path of the value, used in the error messages.
+ * @param {string[]} errors - The list the errors are pushed to.
+ */
+const collectErrors = (value, schema, path, errors) => {
+    if (value === undefined) {
+        if (!schema.optional) {
+            errors.push(`"${path}" is missing. Expected ${schema.description}.`)
+        }
+        return
+    }
+
+    if (!matchesType(value, schema)) {
+        errors.push(
+            `"${path}" is invalid. Expected ${schema.description}, got ${JSON.stringify(value)}.`
+        )
+        return
+    }
+
+    if (schema.type === 'array') {
+        const errorCount = errors.length
+        value.forEach((item, index) =>
+            collectErrors(item, schema.items, `${path}[${index}]`, errors)
+        )
+
+        if (schema.check && errors.length === errorCount) {
+            schema.check(value, path, errors)
+        }
+    } else if (schema.type === 'map') {
+        Object.entries(value).forEach(([key, item]) =>
+            collectErrors(item, schema.values, `${path}.${key}`, errors)
+        )
+    } else if (schema.type === 'object') {
+        const errorCount = errors.length
+        Object.entries(schema.properties).forEach(([key, propertySchema]) =>
+            collectErrors(value[key], propertySchema, path ? `${path}.${key}` : key, errors)
+        )
+
+        // Unknown keys are most likely typos, e.g. `replica` instead of `replicas`.
+        Object.keys(value)
+            .filter((key) => !schema.properties[key])
+            .forEach((key) => {
+                const name = path ? `${path}.${key}` : key
+                errors.push(
+                    `"${name}" is not a known key. Expected one of: ${Object.keys(
+                        schema.properties
+                    ).join(', ')}.`
+                )
+            })
+
+        if (schema.check && errors.length === errorCount) {
+            schema.check(value, path, errors)
+        }
+    }
+}
+
+/**
+ * Checks the Algolia configuration against its schema.
+ *
+ * @param {Object} algoliaConfig - The Algolia configuration (`config.app.algolia`).
+ * @throws {AlgoliaConfigError} If the configuration is invalid, with one message per invalid field.
+ */
+export const validateAlgoliaConfig = (algoliaConfig) => {
+    const errors = []
+    if (typeOf(algoliaConfig) !== 'object') {
+        errors.push(
+            `"app.algolia" in config/default.js is invalid. Expected the content of config/algolia-config.json, got ${JSON.stringify(
+                algoliaConfig
+            )}.`
+        )
+    } else {
+        // The API key is not sent to the browser when the requests go through the proxy or
+        // when the shoppers get secured API keys. The mock needs no credentials at all.
+        const isMockEnabled = Boolean(algoliaConfig.mock?.enabled)
+        const isApiKeyOnServer =
+            algoliaConfig.proxy?.enabled || algoliaConfig.securedApiKeys?.enabled
+        const {appId, apiKey} = algoliaConfigSchema.properties
+        const schema = {
+            ...algoliaConfigSchema,
+            properties: {
+                ...algoliaConfigSchema.properties,
+                appId: {...appId, optional: isMockEnabled},
+                apiKey: {...apiKey, optional: isMockEnabled || isApiKeyOnServer}
+            }
+        }
+        collectErrors(algoliaConfig, schema, '', errors)
+    }
+
+    if (errors.length) {
+        throw new AlgoliaConfigError(errors)
+    }
+}
@@ -0,0 +1,159 @@
+import exampleConfig from '../../../config/algolia-config.example.json'
+import {AlgoliaConfigError, validateAlgoliaConfig} from './validate-algolia-config'
+
+const getErrors = (algoliaConfig) => {
+    try {
+        validateAlgoliaConfig(algoliaConfig)
+    } catch (error) {
+        expect(error).toBeInstanceOf(AlgoliaConfigError)
+        return error.errors
+    }
+    return []
+}
+
+const withFacets = (facets) => ({...exampleConfig, facets: {default: facets}})
+
+describe('validateAlgoliaConfig', () => {
+    test('accepts the example configuration', () => {
+        expect(() => validateAlgoliaConfig(exampleConfig)).not.toThrow()
+    })
+
+    test.each([
+        ['the proxy is enabled', {proxy: {enabled: true}}],
+        ['the secured API keys are enabled', {securedApiKeys: {enabled: true}}],
+        ['the mock is enabled', {mock: {enabled: true}}]
+    ])('accepts a configuration without API key when %s', (_, overrides) => {
+        expect(getErrors({...exampleConfig, apiKey: undefined, ...overrides})).toEqual([])
+    })
+
+    test('accepts a configuration without application ID when the mock is enabled', () => {
+        const algoliaConfig = {...exampleConfig, appId: undefined, mock: {enabled: true}}
+        expect(getErrors(algoliaConfig)).toEqual([])
+    })
+
+    test.each([
+        [
+            'a configuration that is not an object',
+            null,
+            '"app.algolia" in config/default.js is invalid'
+        ],
+        ['a missing API key', {...exampleConfig, apiKey: undefined}, '"apiKey" is missing'],
+        ['an empty application ID', {...exampleConfig, appId: ' '}, '"appId" is invalid'],
+        [
+            'an unknown key',
+            {...exampleConfig, replica: []},
+            '"replica" is not a known key. Expected one of: appId, apiKey'
+        ],
+        [
+            'a missing primary index',
+            {...exampleConfig, indices: {...exampleConfig.indices, primary: undefined}},
+            '"indices.primary" is missing'
+        ],
+        [
+            'a sort option without label',
+            {
+                ...exampleConfig,
+                indices: {...exampleConfig.indices, replicas: [{value: 'pwa__products_price_asc'}]}
+            },
+            '"indices.replicas[0].label" is missing'
+        ],
+        [
+            'a proxy path under /mobify/proxy/',
+            {...exampleConfig, proxy: {enabled: true, path: '/mobify/proxy/algolia'}},
+            '"proxy.path" is invalid'
+        ],
+        [
+            'a negative time to live',
+            {...exampleConfig, cache: {enabled: true, timeToLive: {search: -1}}},
+            '"cache.timeToLive.search" is invalid'
+        ],
+        [
+            'an unknown listing mode',
+            {...exampleConfig, productList: {listingMode: {mobile: 'scroll'}}},
+            '"productList.listingMode.mobile" is invalid'
+        ],
+        [
+            'the allOptional removal of the words',
+            {...exampleConfig, productList: {removeWordsIfNoResults: 'allOptional'}},
+            '"productList.removeWordsIfNoResults" is invalid'
+        ],
+        [
+            'an unknown facet type',
+            withFacets([{type: 'slider', attribute: 'price', title: 'price'}]),
+            '"facets.default[0].type" is invalid'
+        ],
+        [
+            'a hierarchical facet without attributes',
+            withFacets([{type: 'hierarchical', attribute: 'categories', title: 'category'}]),
+            '"facets.default[0].attributes" is missing'
+        ],
+        [
+            'a checkbox facet without attribute',
+            withFacets([{type: 'checkbox', title: 'size'}]),
+            '"facets.default[0].attribute" is missing'
+        ],
+        [
+            'a reserved URL parameter',
+            withFacets([
+                {type: 'checkbox', attribute: 'size', title: 'size', urlParameter: 'page'}
+            ]),
+            '"facets.default[0].urlParameter" is invalid'
+        ],
+        [
+            'two facets with the same default URL parameter',
+            withFacets([
+                {type: 'color', attribute: 'variants.color', title: 'color'},
+                {type: 'checkbox', attribute: 'variants.size', title: 'size'}
+            ]),
+            '"facets.default[1]" has the same URL parameter "variants" as "facets.default[0]"'
+        ],
+        [
+            'two facets of a category with the same URL parameter',
+            {
+                ...exampleConfig,
+                facets: {
+                    categories: {
+                        shoes: [
+                            {type: 'checkbox', attribute: 'size', title: 'size'},
+                            {
+                                type: 'checkbox',
+                                attribute: 'width',
+                                title: 'width',
+                                urlParameter: 'size'
+                            }
+                        ]
+                    }
+                }
+            },
+            '"facets.categories.shoes[1]" has the same URL parameter "size"'
+        ],
+        [
+            'a site index that is not a string',
+            {...exampleConfig, sites: {RefArch: {indices: {contents: 42}}}},
+            '"sites.RefArch.indices.contents" is invalid'
+        ]
+    ])('rejects %s', (_, algoliaConfig, expectedError) => {
+        const errors = getErrors(algoliaConfig)
+        expect(errors).toHaveLength(1)
+        expect(errors[0]).toContain(expectedError)
+    })
+
+    test('accepts facets whose URL parameters are set apart', () => {
+        const algoliaConfig = withFacets([
+            {type: 'color', attribute: 'variants.color', title: 'color', urlParameter: 'color'},
+            {type: 'checkbox', attribute: 'variants.size', title: 'size'}
+        ])
+        expect(getErrors(algoliaConfig)).toEqual([])
+    })
+
+    test('reports every invalid field at once', () => {
+        const errors = getErrors({...exampleConfig, appId: 1, indices: {}})
+        expect(errors).toEqual(
+            expect.arrayContaining([
+                expect.stringContaining('"appId" is invalid'),
+                expect.stringContaining('"indices.primary" is missing'),
+                expect.stringContaining('"indices.categories" is missing')
+            ])
+        )
+    })
+})